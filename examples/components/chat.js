@@ -3,6 +3,10 @@
  */
 import FeexVeb from "../../lib/feexveb.js";
 
+// Ref callbacks: run when the chat content is (re)mounted, e.g. after expanding the widget
+const scrollToBottom = (el) => el && (el.scrollTop = el.scrollHeight);
+const focusInput = (el) => el && el.focus();
+
 // Chat Component with simulated real-time messaging
 FeexVeb.component({
   tag: 'fx-chat-widget',
@@ -143,20 +147,27 @@ FeexVeb.component({
   },
   
   setup: (ctx) => {
-    // Simulate periodic typing indicators
-    const typingInterval = setInterval(() => {
-      const users = ['Alice', 'Bob', 'Charlie'];
-      const randomUser = users[Math.floor(Math.random() * users.length)];
+    // Simulate periodic typing indicators while the chat is on the page
+    FeexVeb.onMount(() => {
+      let typingTimeout = null;
+      const typingInterval = setInterval(() => {
+        const users = ['Alice', 'Bob', 'Charlie'];
+        const randomUser = users[Math.floor(Math.random() * users.length)];
+        
+        if (Math.random() < 0.3) { // 30% chance
+          ctx.states.typingUsers.set([randomUser]);
+          clearTimeout(typingTimeout);
+          typingTimeout = setTimeout(() => {
+            ctx.states.typingUsers.set([]);
+          }, 2000);
+        }
+      }, 5000);
       
-      if (Math.random() < 0.3) { // 30% chance
-        ctx.state.typingUsers = [randomUser];
-        setTimeout(() => {
-          ctx.state.typingUsers = [];
-        }, 2000);
-      }
-    }, 5000);
-    
-    ctx.cleanup.push(() => clearInterval(typingInterval));
+      return () => {
+        clearInterval(typingInterval);
+        clearTimeout(typingTimeout);
+      };
+    });
     
     return {};
   },
@@ -166,7 +177,7 @@ FeexVeb.component({
     unreadCount, isMinimized, username,
     sendMessage, updateMessage, toggleMinimize, clearChat, formatTime, toggleConnection 
   }) => (
-    <div class={`chat-widget ${isMinimized ? 'minimized' : ''}`}>
+    <div class={['chat-widget', { minimized: isMinimized }]}>
       {/* Chat Header */}
       <div class="chat-header" onclick={toggleMinimize}>
         <div class="chat-title">
@@ -186,10 +197,10 @@ FeexVeb.component({
       {!isMinimized && (
         <div class="chat-content">
           {/* Messages Area */}
-          <div class="messages-container">
+          <div class="messages-container" ref={scrollToBottom}>
             <div class="messages">
               {sortedMessages.map(message => (
-                <div key={message.id} class={`message ${message.type} ${message.user === username ? 'own' : ''}`}>
+                <div key={message.id} class={['message', message.type, { own: message.user === username }]}>
                   <div class="message-header">
                     <span class="message-user">{message.user}</span>
                     <span class="message-time">{formatTime(message.timestamp)}</span>
@@ -215,6 +226,7 @@ FeexVeb.component({
               <input
                 type="text"
                 class="message-input"
+                ref={focusInput}
                 placeholder={isConnected ? "Type a message..." : "Disconnected"}
                 value={newMessage}
                 onInput={(e) => updateMessage(e.target.value)}
@@ -15,6 +15,35 @@ const sampleUsers = [
   { id: 8, name: 'Henry Taylor', email: 'henry@example.com', role: 'User', status: 'Inactive', joinDate: '2023-08-30' }
 ];
 
+// Badge showing a role or status value
+const Badge = ({ kind, value }) => (
+  <span class={`${kind}-badge ${kind}-${value.toLowerCase()}`}>
+    {value}
+  </span>
+);
+
+// A single table row, rendered as a function component
+const UserRow = ({ user, selected, onToggle }) => (
+  <tr class={{ selected }}>
+    <td>
+      <input
+        type="checkbox"
+        checked={selected}
+        onChange={onToggle}
+      />
+    </td>
+    <td class="name-cell">{user.name}</td>
+    <td class="email-cell">{user.email}</td>
+    <td>
+      <Badge kind="role" value={user.role} />
+    </td>
+    <td>
+      <Badge kind="status" value={user.status} />
+    </td>
+    <td class="date-cell">{user.joinDate}</td>
+  </tr>
+);
+
 // Data Table Component
 FeexVeb.component({
   tag: 'fx-data-table',
@@ -254,28 +283,12 @@ FeexVeb.component({
               </tr>
             ) : (
               paginatedData.map(user => (
-                <tr key={user.id} class={selectedRows.has(user.id) ? 'selected' : ''}>
-                  <td>
-                    <input
-                      type="checkbox"
-                      checked={selectedRows.has(user.id)}
-                      onChange={() => toggleRowSelection(user.id)}
-                    />
-                  </td>
-                  <td class="name-cell">{user.name}</td>
-                  <td class="email-cell">{user.email}</td>
-                  <td>
-                    <span class={`role-badge role-${user.role.toLowerCase()}`}>
-                      {user.role}
-                    </span>
-                  </td>
-                  <td>
-                    <span class={`status-badge status-${user.status.toLowerCase()}`}>
-                      {user.status}
-                    </span>
-                  </td>
-                  <td class="date-cell">{user.joinDate}</td>
-                </tr>
+                <UserRow
+                  key={user.id}
+                  user={user}
+                  selected={selectedRows.has(user.id)}
+                  onToggle={() => toggleRowSelection(user.id)}
+                />
               ))
             )}
           </tbody>
@@ -299,7 +312,7 @@ FeexVeb.component({
             {Array.from({ length: totalPages }, (_, i) => i + 1).map(page => (
               <button
                 key={page}
-                class={`page-btn ${currentPage === page ? 'active' : ''}`}
+                class={['page-btn', { active: currentPage === page }]}
                 onclick={() => setPage(page)}
               >
                 {page}
@@ -62,7 +62,7 @@ FeexVeb.component({
 
   methods: {
     updateField: (state, field, value) => {
-      state.formData[field] = value;
+      state.formData = { ...state.formData, [field]: value };
       state.validateField(field);
     },
 
@@ -71,25 +71,25 @@ FeexVeb.component({
 
       switch (field) {
         case 'name':
-          const nameError = state.computed.nameError;
+          const nameError = state.nameError;
           if (nameError) errors.name = nameError;
           else delete errors.name;
           break;
 
         case 'email':
-          const emailError = state.computed.emailError;
+          const emailError = state.emailError;
           if (emailError) errors.email = emailError;
           else delete errors.email;
           break;
 
         case 'phone':
-          const phoneError = state.computed.phoneError;
+          const phoneError = state.phoneError;
           if (phoneError) errors.phone = phoneError;
           else delete errors.phone;
           break;
 
         case 'message':
-          const messageError = state.computed.messageError;
+          const messageError = state.messageError;
           if (messageError) errors.message = messageError;
           else delete errors.message;
           break;
@@ -136,7 +136,7 @@ FeexVeb.component({
         state.errors = {};
       } catch (error) {
         state.submitStatus = 'error';
-        state.errors.submit = error.message;
+        state.errors = { ...state.errors, submit: error.message };
       } finally {
         state.isSubmitting = false;
       }
@@ -180,7 +180,7 @@ FeexVeb.component({
           <input
             id="name"
             type="text"
-            class={`form-input ${errors.name ? 'error' : ''}`}
+            class={['form-input', { error: errors.name }]}
             value={formData.name}
             onInput={(e) => updateField('name', e.target.value)}
             placeholder="Enter your full name"
@@ -198,7 +198,7 @@ FeexVeb.component({
           <input
             id="email"
             type="email"
-            class={`form-input ${errors.email ? 'error' : ''}`}
+            class={['form-input', { error: errors.email }]}
             value={formData.email}
             onInput={(e) => updateField('email', e.target.value)}
             placeholder="Enter your email address"
@@ -216,7 +216,7 @@ FeexVeb.component({
           <input
             id="phone"
             type="tel"
-            class={`form-input ${errors.phone ? 'error' : ''}`}
+            class={['form-input', { error: errors.phone }]}
             value={formData.phone}
             onInput={(e) => updateField('phone', e.target.value)}
             placeholder="(555) 123-4567"
@@ -233,7 +233,7 @@ FeexVeb.component({
           </label>
           <textarea
             id="message"
-            class={`form-textarea ${errors.message ? 'error' : ''}`}
+            class={['form-textarea', { error: errors.message }]}
             value={formData.message}
             onInput={(e) => updateField('message', e.target.value)}
             placeholder="Enter your message (10-500 characters)"
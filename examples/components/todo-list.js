@@ -16,6 +16,9 @@ FeexVeb.component({
     newTodoText: '',
     filter: 'all' // 'all', 'active', 'completed'
   },
+
+  // Parents can listen with onTodoAdded, onTodoToggled and onTodoDeleted
+  events: ['todo-added', 'todo-toggled', 'todo-deleted'],
   
   computed: {
     filteredTodos: (state) => {
@@ -43,6 +46,7 @@ FeexVeb.component({
         };
         state.todos = [...state.todos, newTodo];
         state.newTodoText = '';
+        state.emit('todo-added', newTodo);
       }
     },
     
@@ -50,10 +54,12 @@ FeexVeb.component({
       state.todos = state.todos.map(todo =>
         todo.id === id ? { ...todo, completed: !todo.completed } : todo
       );
+      state.emit('todo-toggled', state.todos.find(todo => todo.id === id));
     },
     
     deleteTodo: (state, id) => {
       state.todos = state.todos.filter(todo => todo.id !== id);
+      state.emit('todo-deleted', { id });
     },
     
     setFilter: (state, filter) => {
@@ -69,6 +75,13 @@ FeexVeb.component({
     }
   },
   
+  setup: (ctx) => ({
+    state: {
+      // Todos survive reloads, and other open tabs follow along
+      todos: FeexVeb.usePersistentState('fx-todo-list.todos', ctx.states.todos.get())
+    }
+  }),
+  
   render: ({ filteredTodos, activeCount, completedCount, newTodoText, filter, addTodo, toggleTodo, deleteTodo, setFilter, clearCompleted, updateNewTodoText }) => (
     <div class="todo-app">
       <h3 class="todo-title">📝 Todo List (JSX)</h3>
@@ -90,13 +103,17 @@ FeexVeb.component({
       
       {/* Todo list */}
       <div class="todo-list">
-        {filteredTodos.length === 0 ? (
-          <div class="todo-empty">
-            {filter === 'all' ? 'No todos yet!' : `No ${filter} todos`}
-          </div>
-        ) : (
-          filteredTodos.map(todo => (
-            <div key={todo.id} class={`todo-item ${todo.completed ? 'completed' : ''}`}>
+        <FeexVeb.For
+          each={filteredTodos}
+          key="id"
+          fallback={
+            <div class="todo-empty">
+              {filter === 'all' ? 'No todos yet!' : `No ${filter} todos`}
+            </div>
+          }
+        >
+          {(todo) => (
+            <div class={['todo-item', { completed: todo.completed }]}>
               <input
                 type="checkbox"
                 class="todo-checkbox"
@@ -112,32 +129,34 @@ FeexVeb.component({
                 ✕
               </button>
             </div>
-          ))
-        )}
+          )}
+        </FeexVeb.For>
       </div>
       
       {/* Filter and stats */}
       <div class="todo-footer">
         <div class="todo-stats">
           <span>{activeCount} active</span>
-          {completedCount > 0 && <span>, {completedCount} completed</span>}
+          <FeexVeb.Show when={completedCount > 0}>
+            <span>, {completedCount} completed</span>
+          </FeexVeb.Show>
         </div>
         
         <div class="todo-filters">
           <button 
-            class={`filter-btn ${filter === 'all' ? 'active' : ''}`}
+            class={['filter-btn', { active: filter === 'all' }]}
             onclick={() => setFilter('all')}
           >
             All
           </button>
           <button 
-            class={`filter-btn ${filter === 'active' ? 'active' : ''}`}
+            class={['filter-btn', { active: filter === 'active' }]}
             onclick={() => setFilter('active')}
           >
             Active
           </button>
           <button 
-            class={`filter-btn ${filter === 'completed' ? 'active' : ''}`}
+            class={['filter-btn', { active: filter === 'completed' }]}
             onclick={() => setFilter('completed')}
           >
             Completed
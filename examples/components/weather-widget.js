@@ -3,6 +3,96 @@
  */
 import FeexVeb from "../../lib/feexveb.js";
 
+// Resolves after a delay, or rejects as soon as the request is aborted
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  });
+});
+
+// Simulated weather API: random weather data for a city after a delay
+const fetchWeather = async (city, { signal }) => {
+  await delay(1000 + Math.random() * 1000, signal);
+
+  // Simulate occasional API errors
+  if (Math.random() < 0.1) {
+    throw new Error('Weather service temporarily unavailable');
+  }
+
+  const conditions = ['Sunny', 'Partly Cloudy', 'Cloudy', 'Light Rain', 'Clear'];
+
+  return {
+    city,
+    temperature: Math.floor(Math.random() * 60) + 20, // 20-80°F
+    condition: conditions[Math.floor(Math.random() * conditions.length)],
+    humidity: Math.floor(Math.random() * 40) + 30, // 30-70%
+    windSpeed: Math.floor(Math.random() * 15) + 5, // 5-20 mph
+    pressure: Math.floor(Math.random() * 100) + 980, // 980-1080 hPa
+    lastUpdated: new Date().toLocaleTimeString()
+  };
+};
+
+// Presentation helpers
+const temperatureColor = (weather) => {
+  const temp = weather.temperature;
+  if (temp < 32) return 'temp-cold';
+  if (temp < 60) return 'temp-cool';
+  if (temp < 80) return 'temp-warm';
+  return 'temp-hot';
+};
+
+const weatherIcon = (weather) => {
+  if (!weather) return '🌤️';
+  const condition = weather.condition.toLowerCase();
+  if (condition.includes('sunny') || condition.includes('clear')) return '☀️';
+  if (condition.includes('cloud')) return '☁️';
+  if (condition.includes('rain')) return '🌧️';
+  if (condition.includes('snow')) return '❄️';
+  if (condition.includes('storm')) return '⛈️';
+  return '🌤️';
+};
+
+// Reads the resource, so the surrounding <Suspense> shows its fallback while it loads
+const WeatherDetails = ({ resource }) => {
+  const weather = resource.get();
+
+  return (
+    <div class="weather-content">
+      <div class="weather-main">
+        <div class={['temperature', temperatureColor(weather)]}>
+          {weather.temperature}°F
+        </div>
+        <div class="condition">
+          {weather.condition}
+        </div>
+      </div>
+
+      <div class="weather-details">
+        <div class="detail-item">
+          <span class="detail-label">💧 Humidity</span>
+          <span class="detail-value">{weather.humidity}%</span>
+        </div>
+
+        <div class="detail-item">
+          <span class="detail-label">💨 Wind</span>
+          <span class="detail-value">{weather.windSpeed} mph</span>
+        </div>
+
+        <div class="detail-item">
+          <span class="detail-label">📊 Pressure</span>
+          <span class="detail-value">{weather.pressure} hPa</span>
+        </div>
+      </div>
+
+      <div class="weather-footer">
+        <small>Last updated: {weather.lastUpdated}</small>
+      </div>
+    </div>
+  );
+};
+
 // Weather Widget with simulated API calls
 FeexVeb.component({
   tag: 'fx-weather-widget',
@@ -12,90 +102,30 @@ FeexVeb.component({
   },
   
   state: {
-    weather: null,
-    isLoading: false,
-    error: null,
-    lastUpdated: null
-  },
-  
-  computed: {
-    temperatureColor: (state) => {
-      if (!state.weather) return '';
-      const temp = state.weather.temperature;
-      if (temp < 32) return 'temp-cold';
-      if (temp < 60) return 'temp-cool';
-      if (temp < 80) return 'temp-warm';
-      return 'temp-hot';
-    },
-    
-    weatherIcon: (state) => {
-      if (!state.weather) return '🌤️';
-      const condition = state.weather.condition.toLowerCase();
-      if (condition.includes('sunny') || condition.includes('clear')) return '☀️';
-      if (condition.includes('cloud')) return '☁️';
-      if (condition.includes('rain')) return '🌧️';
-      if (condition.includes('snow')) return '❄️';
-      if (condition.includes('storm')) return '⛈️';
-      return '🌤️';
-    }
-  },
-  
-  methods: {
-    fetchWeather: async (state) => {
-      state.isLoading = true;
-      state.error = null;
-      
-      try {
-        // Simulate API call with random weather data
-        await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 1000));
-        
-        // Simulate occasional API errors
-        if (Math.random() < 0.1) {
-          throw new Error('Weather service temporarily unavailable');
-        }
-        
-        const conditions = ['Sunny', 'Partly Cloudy', 'Cloudy', 'Light Rain', 'Clear'];
-        const temperature = Math.floor(Math.random() * 60) + 20; // 20-80°F
-        const humidity = Math.floor(Math.random() * 40) + 30; // 30-70%
-        
-        state.weather = {
-          city: state.city,
-          temperature,
-          condition: conditions[Math.floor(Math.random() * conditions.length)],
-          humidity,
-          windSpeed: Math.floor(Math.random() * 15) + 5, // 5-20 mph
-          pressure: Math.floor(Math.random() * 100) + 980 // 980-1080 hPa
-        };
-        
-        state.lastUpdated = new Date().toLocaleTimeString();
-      } catch (error) {
-        state.error = error.message;
-      } finally {
-        state.isLoading = false;
-      }
-    },
-    
-    refresh: (state) => {
-      state.fetchWeather();
-    }
+    city: 'San Francisco'
   },
   
   setup: (ctx) => {
-    // Auto-fetch weather on component mount
-    ctx.effects.push(
-      FeexVeb.useEffect(() => {
-        ctx.methods.fetchWeather();
-      }, [])
-    );
-    
-    return {};
+    // Refetches (cancelling the request in flight) whenever the city attribute changes
+    const weather = FeexVeb.useResource(fetchWeather, ctx.states.city);
+
+    return {
+      state: {
+        weather,
+        isLoading: weather.loading,
+        error: weather.error
+      },
+      methods: {
+        refresh: () => weather.refetch()
+      }
+    };
   },
   
-  render: ({ weather, isLoading, error, lastUpdated, temperatureColor, weatherIcon, refresh, city }) => (
+  render: ({ weather, isLoading, error, refresh, city }, ctx) => (
     <div class="weather-widget">
       <div class="weather-header">
         <h3 class="weather-title">
-          {weatherIcon} Weather in {city}
+          {weatherIcon(weather)} Weather in {city}
         </h3>
         <button 
           class="refresh-btn"
@@ -107,58 +137,29 @@ FeexVeb.component({
         </button>
       </div>
       
-      {isLoading && (
-        <div class="weather-loading">
-          <div class="loading-spinner">🌀</div>
-          <p>Fetching weather data...</p>
-        </div>
-      )}
-      
-      {error && (
+      <FeexVeb.Show
+        when={error}
+        fallback={
+          <FeexVeb.Suspense
+            fallback={
+              <div class="weather-loading">
+                <div class="loading-spinner">🌀</div>
+                <p>Fetching weather data...</p>
+              </div>
+            }
+          >
+            <WeatherDetails resource={ctx.states.weather} />
+          </FeexVeb.Suspense>
+        }
+      >
         <div class="weather-error">
           <div class="error-icon">⚠️</div>
-          <p class="error-message">{error}</p>
+          <p class="error-message">{error?.message}</p>
           <button class="retry-btn" onclick={refresh}>
             Try Again
           </button>
         </div>
-      )}
-      
-      {weather && !isLoading && (
-        <div class="weather-content">
-          <div class="weather-main">
-            <div class={`temperature ${temperatureColor}`}>
-              {weather.temperature}°F
-            </div>
-            <div class="condition">
-              {weather.condition}
-            </div>
-          </div>
-          
-          <div class="weather-details">
-            <div class="detail-item">
-              <span class="detail-label">💧 Humidity</span>
-              <span class="detail-value">{weather.humidity}%</span>
-            </div>
-            
-            <div class="detail-item">
-              <span class="detail-label">💨 Wind</span>
-              <span class="detail-value">{weather.windSpeed} mph</span>
-            </div>
-            
-            <div class="detail-item">
-              <span class="detail-label">📊 Pressure</span>
-              <span class="detail-value">{weather.pressure} hPa</span>
-            </div>
-          </div>
-          
-          {lastUpdated && (
-            <div class="weather-footer">
-              <small>Last updated: {lastUpdated}</small>
-            </div>
-          )}
-        </div>
-      )}
+      </FeexVeb.Show>
     </div>
   )
 });
@@ -188,7 +189,7 @@ FeexVeb.component({
           {cities.map(city => (
             <button
               key={city}
-              class={`city-btn ${selectedCity === city ? 'active' : ''}`}
+              class={['city-btn', { active: selectedCity === city }]}
               onclick={() => selectCity(city)}
             >
               {city}
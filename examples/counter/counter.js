@@ -168,20 +168,19 @@ FeexVeb.component({
       ctx.onServerError();
     };
 
-    // Listen for HTMX events on this component
-    element.addEventListener('htmx:beforeRequest', handleBeforeRequest);
-    element.addEventListener('htmx:afterRequest', handleAfterRequest);
-    element.addEventListener('htmx:responseError', handleResponseError);
-
-    return {
-      effects: [
-        () => {
-          element.removeEventListener('htmx:beforeRequest', handleBeforeRequest);
-          element.removeEventListener('htmx:afterRequest', handleAfterRequest);
-          element.removeEventListener('htmx:responseError', handleResponseError);
-        }
-      ]
-    };
+    // Listen for HTMX events on this component while it is connected
+    FeexVeb.onMount(() => {
+      element.addEventListener('htmx:beforeRequest', handleBeforeRequest);
+      element.addEventListener('htmx:afterRequest', handleAfterRequest);
+      element.addEventListener('htmx:responseError', handleResponseError);
+      return () => {
+        element.removeEventListener('htmx:beforeRequest', handleBeforeRequest);
+        element.removeEventListener('htmx:afterRequest', handleAfterRequest);
+        element.removeEventListener('htmx:responseError', handleResponseError);
+      };
+    });
+
+    return {};
   },
 
   render: ({ displayCount, statusMessage, isLoading }) => (
@@ -7,6 +7,8 @@
 
 import * as webjsx from './src/webjsx.js';
 import * as state from './src/state.js';
+import * as errors from './src/errors.js';
+import * as lifecycle from './src/lifecycle.js';
 import { defineComponent, component } from './src/component.js';
 import { createEventBus } from './src/eventbus.js';
 import * as utils from './src/utils.js';
@@ -32,6 +34,16 @@ const FeexVeb = {
    */
   createElement: webjsx.createElement,
 
+  /**
+   * @memberof FeexVeb
+   * @function createRef
+   * @description Creates a ref object for the `ref` prop. Re-exported from `webjsx` module.
+   * Its `current` property holds the rendered DOM element while it is mounted, and `null` otherwise.
+   * @returns {{current: (HTMLElement|null)}} A new ref object.
+   * @see {@link module:webjsx.createRef}
+   */
+  createRef: webjsx.createRef,
+
   /**
    * @memberof FeexVeb
    * @constant Fragment
@@ -42,6 +54,76 @@ const FeexVeb = {
    */
   Fragment: webjsx.Fragment,
 
+  /**
+   * @memberof FeexVeb
+   * @function Show
+   * @description Renders its children when `when` is truthy, and `fallback` otherwise. Re-exported from `webjsx` module.
+   * @param {Object} props - `when`, `fallback` and the children (or a render function receiving `when`).
+   * @returns {*} The rendered children or the fallback.
+   * @see {@link module:webjsx.Show}
+   */
+  Show: webjsx.Show,
+
+  /**
+   * @memberof FeexVeb
+   * @function For
+   * @description Renders a keyed list from `each` with a render function child `(item, index)`. Re-exported from `webjsx` module.
+   * @param {Object} props - `each`, `key` (property name or function), `fallback` and the render function.
+   * @returns {*} The rendered items or the fallback.
+   * @see {@link module:webjsx.For}
+   */
+  For: webjsx.For,
+
+  /**
+   * @memberof FeexVeb
+   * @function Switch
+   * @description Renders the first `Match` child whose `when` is truthy, or `fallback`. Re-exported from `webjsx` module.
+   * @param {Object} props - `fallback` and the `Match` children.
+   * @returns {*} The matching branch or the fallback.
+   * @see {@link module:webjsx.Switch}
+   */
+  Switch: webjsx.Switch,
+
+  /**
+   * @memberof FeexVeb
+   * @function Match
+   * @description A branch of a `Switch`, rendered when `when` is truthy. Re-exported from `webjsx` module.
+   * @param {Object} props - `when` and the children (or a render function receiving `when`).
+   * @returns {*} The rendered children, or null.
+   * @see {@link module:webjsx.Match}
+   */
+  Match: webjsx.Match,
+
+  /**
+   * @memberof FeexVeb
+   * @function Portal
+   * @description Renders its children into another container, `document.body` by default. Re-exported from `webjsx` module.
+   * @param {Object} props - `target` (element or selector), `forward` (event types re-dispatched on the portal's parent) and the children.
+   * @returns {null} Portals are handled by the renderer.
+   * @see {@link module:webjsx.Portal}
+   */
+  Portal: webjsx.Portal,
+
+  /**
+   * @memberof FeexVeb
+   * @function ErrorBoundary
+   * @description Renders `fallback` instead of its children when a function component inside it throws. Re-exported from `webjsx` module.
+   * @param {Object} props - `fallback` (a node, or a function receiving the error), `onError` and the children.
+   * @returns {*} The rendered children or the fallback.
+   * @see {@link module:webjsx.ErrorBoundary}
+   */
+  ErrorBoundary: webjsx.ErrorBoundary,
+
+  /**
+   * @memberof FeexVeb
+   * @function Suspense
+   * @description Renders `fallback` while a resource read by its children is loading. Re-exported from `webjsx` module.
+   * @param {Object} props - `fallback` and the children (or a render function returning them).
+   * @returns {*} The rendered children or the fallback.
+   * @see {@link module:webjsx.Suspense}
+   */
+  Suspense: webjsx.Suspense,
+
   /**
    * @memberof FeexVeb
    * @function createDomNode
@@ -62,6 +144,15 @@ const FeexVeb = {
    */
   applyDiff: webjsx.applyDiff,
 
+  /**
+   * @memberof FeexVeb
+   * @function unmount
+   * @description Tears down what `applyDiff` rendered into a container (refs, bindings and portals) and empties it. Re-exported from `webjsx` module.
+   * @param {HTMLElement|ShadowRoot} element - The container DOM element.
+   * @see {@link module:webjsx.unmount}
+   */
+  unmount: webjsx.unmount,
+
   /**
    * @memberof FeexVeb
    * @function renderToString
@@ -72,11 +163,34 @@ const FeexVeb = {
    */
   renderToString: webjsx.renderToString,
 
+  /**
+   * @memberof FeexVeb
+   * @function setSanitizer
+   * @description Configures the sanitizer applied to `dangerouslySetInnerHTML` markup before it is inserted
+   * by the client renderer, `renderToString` and server-side rendering. Re-exported from `webjsx` module.
+   * @param {((html: string) => string)|null} sanitizer - Receives the raw markup and returns the markup to insert.
+   * @see {@link module:webjsx.setSanitizer}
+   */
+  setSanitizer: webjsx.setSanitizer,
+
+  /**
+   * @memberof FeexVeb
+   * @function withBindings
+   * @description Runs a render in which getter functions and state objects in JSX are bound by `applyDiff`
+   * and read once by `renderToString`, as in a `fineGrained` component. Re-exported from `webjsx` module.
+   * @param {Function} fn - The render to run.
+   * @param {boolean} [enabled=true] - Whether to bind.
+   * @returns {*} The return value of `fn`.
+   * @see {@link module:webjsx.withBindings}
+   */
+  withBindings: webjsx.withBindings,
+
   /**
    * @memberof FeexVeb
    * @function useState
    * @description Creates a reactive state variable. Re-exported from `state` module.
    * @param {*} initialValue - The initial value of the state.
+   * @param {import('./src/state.js').StateOptions} [options] - Optional. `equals` decides when a new value counts as a change.
    * @returns {import('./src/state.js').StateObject} A state object with `get`, `set`, and `subscribe` methods.
    * @see {@link module:state.useState}
    */
@@ -87,23 +201,125 @@ const FeexVeb = {
    * @function useComputed
    * @description Creates a derived state that automatically updates when its dependencies change. Re-exported from `state` module.
    * @param {Function} computeFn - A function that computes the value of the derived state.
-   * @param {Array<import('./src/state.js').StateObject>} dependencies - An array of state objects that this computed state depends on.
+   * @param {Array<import('./src/state.js').StateObject>|import('./src/state.js').StateOptions} [dependencies] - An array of state objects that this computed state depends on, or the options.
+   * @param {import('./src/state.js').StateOptions} [options] - Optional. `equals` decides when a recomputed value counts as a change.
    * @returns {import('./src/state.js').StateObject} A state object with a `get` method.
    * @see {@link module:state.useComputed}
    */
   useComputed: state.useComputed,
 
+  /**
+   * @memberof FeexVeb
+   * @function shallowEqual
+   * @description Compares arrays by their items and plain objects by their properties. Re-exported from `state` module.
+   * Pass it as the `equals` option of `useState` or `useComputed`.
+   * @param {*} a - The first value.
+   * @param {*} b - The second value.
+   * @returns {boolean} True if the values are shallowly equal.
+   * @see {@link module:state.shallowEqual}
+   */
+  shallowEqual: state.shallowEqual,
+
   /**
    * @memberof FeexVeb
    * @function useEffect
    * @description Registers a side effect function that runs when its dependencies change. Re-exported from `state` module.
+   * Called during a component's setup, it starts after the first render and stops when the component is disconnected.
    * @param {Function} effectFn - The function to run as a side effect. It can optionally return a cleanup function.
-   * @param {Array<import('./src/state.js').StateObject>} dependencies - An array of state objects to watch for changes.
+   * @param {Array<import('./src/state.js').StateObject>} [dependencies] - An array of state objects to watch for changes.
+   *   Without it, every state the effect reads is watched; `[]` runs it once.
    * @returns {Function} A cleanup function that can be called to remove the effect and its subscriptions.
    * @see {@link module:state.useEffect}
    */
   useEffect: state.useEffect,
 
+  /**
+   * @memberof FeexVeb
+   * @function onMount
+   * @description Runs a function after the current component's first render, once it is connected, and again every time it is
+   * connected after a disconnection. Re-exported from `lifecycle` module.
+   * A function it returns runs when the component is disconnected. Must be called during a component's setup.
+   * @param {function(): (Function|void)} fn - The function to run on mount.
+   * @see {@link module:lifecycle.onMount}
+   */
+  onMount: lifecycle.onMount,
+
+  /**
+   * @memberof FeexVeb
+   * @function onCleanup
+   * @description Runs a function every time the current component is disconnected. Re-exported from `lifecycle` module.
+   * Must be called during a component's setup.
+   * @param {Function} fn - The cleanup function.
+   * @see {@link module:lifecycle.onCleanup}
+   */
+  onCleanup: lifecycle.onCleanup,
+
+  /**
+   * @memberof FeexVeb
+   * @function usePersistentState
+   * @description Creates a reactive state that is stored in `localStorage`, `sessionStorage` or IndexedDB. Re-exported from `state` module.
+   * It is restored on creation, written back debounced, kept in sync across tabs and migrated between `version`s.
+   * @param {string} key - The storage key.
+   * @param {*} initialValue - The value to use when nothing is stored.
+   * @param {import('./src/state.js').PersistentStateOptions} [options] - `storage`, `serialize`, `deserialize`, `version`, `migrate`, `debounce` and `equals`.
+   * @returns {import('./src/state.js').PersistentStateObject} A state object with `get`, `set`, `subscribe`, `ready`, `flush`, `clear` and `dispose`.
+   * @see {@link module:state.usePersistentState}
+   */
+  usePersistentState: state.usePersistentState,
+
+  /**
+   * @memberof FeexVeb
+   * @function useResource
+   * @description Loads data asynchronously and tracks its loading and error states as signals. Re-exported from `state` module.
+   * The fetcher receives the source value and `{ signal, refetching }`; it re-runs, aborting the previous request, when the source changes.
+   * @param {Function} fetcher - Loads the data for a source value.
+   * @param {Object|Function} [source] - A state object or getter function the request depends on.
+   * @returns {Object} A resource with `get`, `subscribe`, `loading`, `error`, `refetch`, `mutate` and `dispose`.
+   * @see {@link module:state.useResource}
+   */
+  useResource: state.useResource,
+
+  /**
+   * @memberof FeexVeb
+   * @function createStore
+   * @description Creates a store: a nested reactive object whose properties are tracked individually. Re-exported from `state` module.
+   * Read through `store.state`; update with `store.set(...path, value)`, e.g. `store.set('todos', 0, 'done', true)`.
+   * @param {Object} [initialValue={}] - The initial data.
+   * @returns {Object} A store with `state`, `get`, `set` and `subscribe`.
+   * @see {@link module:state.createStore}
+   */
+  createStore: state.createStore,
+
+  /**
+   * @memberof FeexVeb
+   * @function produce
+   * @description Creates a `store.set` updater that mutates a draft of the current value in place. Re-exported from `state` module.
+   * @param {Function} recipe - Mutates the draft.
+   * @returns {Function} The updater.
+   * @see {@link module:state.produce}
+   */
+  produce: state.produce,
+
+  /**
+   * @memberof FeexVeb
+   * @function batch
+   * @description Groups several state writes so that subscribers and effects are notified once. Re-exported from `state` module.
+   * @param {Function} fn - The function performing the state writes.
+   * @returns {*} The return value of `fn`.
+   * @see {@link module:state.batch}
+   */
+  batch: state.batch,
+
+  /**
+   * @memberof FeexVeb
+   * @function flushSync
+   * @description Flushes pending effects and scheduled component re-renders synchronously. Re-exported from `state` module.
+   * @param {Function} [fn] - Optional function to run (as a batch) before flushing.
+   * @returns {*} The return value of `fn`, if given.
+   * @see {@link module:state.flushSync}
+   */
+  flushSync: state.flushSync,
+
   /**
    * @memberof FeexVeb
    * @function component
@@ -256,6 +472,22 @@ const FeexVeb = {
     injectMonospaceStyles: monospaceStyling.injectMonospaceStyles,
   },
 
+  /**
+   * @memberof FeexVeb
+   * @member {function(Error, import('./src/errors.js').ErrorInfo): void|null} onError
+   * @description The global error handler. Assign a function to receive every error caught by a component's
+   * error handling or an `<ErrorBoundary>`, with an info object (`phase`, and `tag` and `element` for components).
+   * When it is `null`, caught errors are logged to the console.
+   * @see {@link module:errors.setErrorHandler}
+   */
+  get onError() {
+    return errors.getErrorHandler();
+  },
+
+  set onError(handler) {
+    errors.setErrorHandler(handler);
+  },
+
   /**
    * @memberof FeexVeb
    * @function render
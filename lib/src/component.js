@@ -4,10 +4,14 @@
  * custom elements (Web Components) with reactive state, methods, and HTMX integration.
  */
 
-import { applyDiff } from './webjsx.js';
+import { applyDiff, withBindings, unmount, placeNodes, setProjection, getProjectedNodes } from './webjsx.js';
 import { processHtmx } from './htmx_integration.js';
 import { injectMonospaceStyles } from './monospace-styles.js';
-import { useState, useComputed, useEffect } from './state.js';
+import { useState, useComputed, useEffect, batch, scheduleUpdate } from './state.js';
+import { reportError } from './errors.js';
+import { createOwner, runWithOwner, onMount, mountOwner, disposeOwner, isMountBound } from './lifecycle.js';
+import { normalizeProp, convertAttributeValue, serializeAttributeValue, validateProp } from './props.js';
+import { effect, root, untrack, scoped, getScope, onError as onScopeError } from '@maverick-js/signals';
 
 /**
  * Converts a dash-cased string to camelCase.
@@ -19,14 +23,134 @@ const dashToCamelCase = (str) => {
   return str.replace(/-([a-z])/g, (g) => g[1].toUpperCase());
 };
 
+/**
+ * Defines a public property for an exposed state or method on a component's prototype.
+ * Reading it returns the state's value (tracked, like `get`) or the method; assigning it sets the state.
+ * @param {Object} prototype - The component class prototype.
+ * @param {string} name - The name of the state or method.
+ */
+const exposeProperty = (prototype, name) => {
+  Object.defineProperty(prototype, name, {
+    configurable: true,
+    enumerable: true,
+    get() {
+      const ctx = this._ctx;
+      if (!ctx) return undefined;
+      if (ctx.methods[name]) return ctx.methods[name];
+      return ctx.states[name] ? ctx.states[name].get() : undefined;
+    },
+    set(value) {
+      const stateObj = this._ctx && this._ctx.states[name];
+      if (!stateObj || typeof stateObj.set !== 'function') {
+        const reason = stateObj ? 'it is read-only' : 'it is not a state';
+        throw new Error(`Cannot set "${name}" of <${this.localName}>: ${reason}.`);
+      }
+      stateObj.set(value);
+    }
+  });
+};
+
+/**
+ * Defines the property that matches a prop's attribute on a component's prototype, unless the element
+ * already has a property of that name (such as `title` or `hidden`). Reading it returns the prop's state;
+ * assigning it validates the value and sets the state, without converting it.
+ * @param {Object} prototype - The component class prototype.
+ * @param {string} attrName - The attribute name of the prop.
+ */
+const propProperty = (prototype, attrName) => {
+  const name = dashToCamelCase(attrName);
+  if (name in HTMLElement.prototype) return;
+
+  Object.defineProperty(prototype, name, {
+    configurable: true,
+    enumerable: true,
+    get() {
+      const stateObj = this._ctx && this._ctx.states[name];
+      return stateObj ? stateObj.get() : undefined;
+    },
+    set(value) {
+      this._setProp(attrName, value);
+    }
+  });
+};
+
+/**
+ * Returns the name of the slot a child node is assigned to: its `slot` attribute, or `'default'`.
+ * @param {Node} node - A child node of a component.
+ * @returns {string} The slot name.
+ */
+const slotNameOf = (node) => (node.nodeType === Node.ELEMENT_NODE && node.getAttribute('slot')) || 'default';
+
+/**
+ * Groups the child nodes of a component by the slot they are assigned to.
+ * Comments and whitespace-only text nodes are left out.
+ * @param {Array<Node>} nodes - The child nodes.
+ * @returns {Map<string, Array<Node>>} The nodes of each slot.
+ */
+const groupBySlot = (nodes) => {
+  const groups = new Map();
+  nodes.forEach(node => {
+    const isContent = node.nodeType === Node.ELEMENT_NODE || (node.nodeType === Node.TEXT_NODE && node.data.trim() !== '');
+    if (!isContent) return;
+    const name = slotNameOf(node);
+    if (!groups.has(name)) {
+      groups.set(name, []);
+    }
+    groups.get(name).push(node);
+  });
+  return groups;
+};
+
+/**
+ * Finds the `<slot>` elements a light-DOM component has rendered, leaving out those inside
+ * projected children and inside other custom elements.
+ * @param {HTMLElement} host - The component element.
+ * @returns {Array<HTMLElement>} The slot elements, in document order.
+ */
+const renderedSlots = (host) => Array.from(host.querySelectorAll('slot')).filter(slot => {
+  for (let parent = slot.parentElement; parent !== host; parent = parent.parentElement) {
+    if (parent.localName === 'slot' || parent.localName.includes('-')) return false;
+  }
+  return true;
+});
+
+/**
+ * @typedef {Object} EventOptions
+ * @property {boolean} [bubbles=true] - Whether the event bubbles.
+ * @property {boolean} [composed=true] - Whether the event crosses shadow root boundaries, so that it reaches listeners outside the component.
+ * @property {boolean} [cancelable=false] - Whether listeners can cancel the event with `preventDefault()`.
+ */
+
+/**
+ * Normalizes an `events` declaration (an array of event names, or an object mapping event names to
+ * their default `EventOptions`) to an object.
+ * @param {Array<string>|Object<string, EventOptions>|undefined} events - The declaration.
+ * @returns {Object<string, EventOptions>|null} The declared events, or `null` if none are declared.
+ */
+const normalizeEvents = (events) => {
+  if (!events) return null;
+  if (Array.isArray(events)) {
+    return Object.fromEntries(events.map(name => [name, {}]));
+  }
+  return { ...events };
+};
+
 /**
  * @typedef {Object} ComponentContext
  * @property {HTMLElement} element - The custom element instance itself.
  * @property {ShadowRoot|null} shadow - The shadow root, if `shadowMode` is enabled. Null otherwise.
  * @property {Object<string, import('./state.js').StateObject>} states - An object to store reactive states returned by the `setup` function.
  * @property {Object<string, Function>} methods - An object to store methods returned by the `setup` function.
- * @property {Array<Function>} cleanup - An array to store cleanup functions (e.g., from `useEffect` or state subscriptions).
- * @property {Object<string, {get: Function, set: Function}>} [any] - Direct access to state getters/setters can be added to the context.
+ * @property {function(string, *=, EventOptions=): boolean} emit - Dispatches a `CustomEvent` with the given name and `detail`
+ *   from the element. It bubbles and is composed unless the `events` declaration or the options say otherwise.
+ *   Returns `false` if a listener canceled it.
+ * @property {Object<string, Array<Node>>} slots - The children assigned to each slot, by slot name (`'default'` for children
+ *   without a `slot` attribute). Comments and whitespace-only text are left out, and a slot without children has an empty array.
+ *   Reading it is tracked, so a render that reads it re-renders when the children change. Filled in shadow mode and with `lightSlots`.
+ * @property {Array<Function>} cleanup - An array of cleanup functions to run every time the component is disconnected. `setup` runs
+ *   only once, so resources created outside signals, such as timers, are better started in `onMount` and stopped by the function it
+ *   returns. Effects and subscriptions created during setup are stopped and restarted automatically.
+ * @property {Object<string, {get: Function, set: Function, subscribe: Function}>} [any] - Direct access to state getters/setters can be added to the context.
  * @property {Object<string, Function>} [any] - Direct access to methods can be added to the context.
  */
 
@@ -34,7 +158,8 @@ const dashToCamelCase = (str) => {
  * @typedef {Object} SetupResult
  * @property {Object<string, import('./state.js').StateObject>} [state] - Key-value pairs of reactive states.
  * @property {Object<string, Function>} [methods] - Key-value pairs of methods. These methods will receive `ComponentContext` as their first argument.
- * @property {Array<Function>} [effects] - An array of cleanup functions returned by `useEffect` calls.
+ * @property {Array<Function>} [effects] - An array of cleanup functions to run every time the component is disconnected.
+ *   Effects created with `useEffect` and subscriptions made during setup are bound to the component and do not need to be listed here.
  */
 
 /**
@@ -44,17 +169,43 @@ const dashToCamelCase = (str) => {
  *   It receives a `ComponentContext` object.
  * @property {function(ComponentContext): Object} render - Required. A function that returns the virtual DOM (JSX-like structure) for the component.
  *   It receives the `ComponentContext` object.
- * @property {Object<string, 'string'|'number'|'boolean'>} [attributesSchema] - Optional. An object defining attributes to observe and their types.
- *   Keys are HTML attribute names (e.g., 'initial-count'), and values are types ('string', 'number', 'boolean').
- *   These attributes will be automatically synced with corresponding camelCased state properties.
+ * @property {Object<string, import('./props.js').PropType|import('./props.js').PropDefinition>} [attributesSchema] - Optional. An object
+ *   defining the component's props: attributes to observe and their types. Keys are HTML attribute names (e.g., 'initial-count'), and values
+ *   are types ('string', 'number', 'boolean', 'object', 'array', 'date', 'json', or a converter) or prop definitions
+ *   (`{ type, default, reflect, required, validate }`). Each prop is synced with the camelCased state of the same name (created if `setup`
+ *   does not return one) and with a camelCased property of the element. Invalid values and missing required props log warnings.
  * @property {Array<string>} [attributes=[]] - Optional. An array of attribute names to observe if `attributesSchema` is not provided.
  *   Changes to these attributes will trigger `attributeChangedCallback` and a re-render.
  * @property {'open'|'closed'|null} [shadowMode=null] - Optional. If set to 'open' or 'closed', a shadow DOM will be attached to the component.
  *   If `null`, the component renders in the light DOM.
+ * @property {boolean} [lightSlots=false] - Optional. If `true` and `shadowMode` is `null`, the children the element is given (in HTML,
+ *   by a parent's render or appended later) are kept rather than replaced by the render: they are projected into the `<slot>`
+ *   elements the render returns, by their `slot` attribute, as a shadow root would show them. A slot shows its own children as
+ *   fallback content while it has none assigned, and children whose slot is not rendered are not shown.
  * @property {boolean} [processHtmxInShadow=true] - Optional. If `shadowMode` is enabled, this controls whether `htmx.process()`
  *   is called on the `shadowRoot` after rendering. Defaults to `true`. If `false`, HTMX processing is skipped for the shadow content.
  * @property {boolean} [useMonospaceStyles=true] - Optional. If `shadowMode` is enabled, this controls whether default monospace styles
  *   are injected into the shadow DOM. Defaults to `true`. If `false`, no default styles are applied.
+ * @property {boolean} [fineGrained=false] - Optional. If `true`, the render function runs once, when the component is first connected,
+ *   and state changes do not re-render it. Dynamic parts must be placed in the JSX as getter functions (`{() => ctx.count.get()}`)
+ *   or state objects (`{ctx.count}`); each of them updates only its own text node or attribute.
+ *   Other components pass such values through unchanged, like any other function or object.
+ * @property {function(Error, import('./errors.js').ErrorInfo, ComponentContext): void} [onError] - Optional. Called when `setup`, `render`,
+ *   an effect created during setup or a method throws. The error is also reported to the global `FeexVeb.onError` handler.
+ * @property {Object|function(Error, Function): Object} [fallback] - Optional. What to render after an error, instead of `render`.
+ *   A function receives the error and a `reset` function that clears the error and renders the component again.
+ *   Without a fallback, a method or effect error is only reported and the last render stays,
+ *   while a `setup` or `render` error leaves the component empty until it is reset.
+ * @property {Array<string>} [expose=[]] - Optional. Names of states and methods to make public properties of the element,
+ *   so that other code can read `el.count`, assign `el.count = 5` (through the state's `set`, so a re-render follows)
+ *   or call `el.increment()`. Computed values can be read but not assigned.
+ * @property {Array<string>|Object<string, EventOptions>} [events] - Optional. The events the component emits with `ctx.emit`, as names
+ *   or as an object mapping names to their default options. Parents can listen with matching `onXxx` props in JSX
+ *   (`onTodoAdded` for `todo-added`), and emitting an event that is not declared logs a warning.
+ * @property {boolean} [deferTeardown=true] - Optional. If `true`, a disconnected component is torn down in a microtask,
+ *   and only if it has not been connected again by then: an element that is moved (removed and re-inserted in the same task,
+ *   as keyed lists and drag-and-drop do) keeps its DOM and effects. If `false`, it is torn down immediately. Either way, its state
+ *   survives the teardown.
  */
 
 /**
@@ -74,8 +225,15 @@ export const defineComponent = (options) => {
     attributesSchema, // New option
     attributes = [], // Fallback if attributesSchema is not provided
     shadowMode = null,
+    lightSlots: lightSlotsOption = false,
     processHtmxInShadow: processHtmxInShadowOption, // Renamed for clarity
-    useMonospaceStyles = true // New option for monospace styling
+    useMonospaceStyles = true, // New option for monospace styling
+    fineGrained = false,
+    onError,
+    fallback = null,
+    deferTeardown = true,
+    expose = [],
+    events
   } = options;
 
   if (!tag || !setup || !renderFn) {
@@ -88,8 +246,19 @@ export const defineComponent = (options) => {
   }
 
   const processHtmxInShadow = shadowMode !== null && processHtmxInShadowOption !== false;
+  const lightSlots = !shadowMode && lightSlotsOption;
+
+  const declaredEvents = normalizeEvents(events);
 
-  customElements.define(tag, class extends HTMLElement {
+  /** @type {Object<string, import('./props.js').PropDefinition>} */
+  const propDefinitions = {};
+  if (attributesSchema) {
+    Object.entries(attributesSchema).forEach(([attrName, declaration]) => {
+      propDefinitions[attrName] = normalizeProp(declaration);
+    });
+  }
+
+  const ComponentElement = class extends HTMLElement {
     /**
      * @private
      * The component's context object, containing its element, shadow root (if any),
@@ -102,9 +271,101 @@ export const defineComponent = (options) => {
      * @private
      * The main render function for the component. It calls the user-provided `renderFn`,
      * applies the resulting VDOM to the DOM, and processes HTMX attributes.
+     * The signals it reads (states, computed values, store properties) are tracked: a change to
+     * any of them schedules one render per component per task (see `scheduleUpdate`), and changes
+     * to anything it did not read do not re-render it. Use `flushSync` to render immediately.
+     * After an error, the `fallback` option is rendered instead of `renderFn` (see `ComponentOptions.fallback`).
      */
     render;
 
+    /**
+     * @private
+     * Whether the component has been rendered at least once.
+     * @type {boolean}
+     */
+    _rendered = false;
+
+    /**
+     * @private
+     * Stops tracking the signals read by the last render.
+     * @type {Function}
+     */
+    _stopTracking;
+
+    /**
+     * @private
+     * The lifecycle owner that `onMount`, `onCleanup` and `useEffect` calls made during setup are bound to.
+     * @type {import('./lifecycle.js').Owner}
+     */
+    _owner;
+
+    /**
+     * @private
+     * The Maverick.js root `setup` ran in, which owns the states and computed values it created.
+     * It lasts as long as the element, so that its state survives disconnections.
+     * @type {Object|null}
+     */
+    _stateScope = null;
+
+    /**
+     * @private
+     * The Maverick.js scope of the current connection, a child of `_stateScope`, or `null` while the element
+     * is disconnected. Renders and mount callbacks run in it, so that the effects, subscriptions and resources
+     * they start are disposed with it and report errors the same way.
+     * @type {Object|null}
+     */
+    _scope = null;
+
+    /**
+     * @private
+     * Creates the scope of a new connection.
+     * @type {Function}
+     */
+    _createScope;
+
+    /**
+     * @private
+     * Disposes the scope of the current connection, with every effect and subscription started in it.
+     * @type {Function}
+     */
+    _disposeScope;
+
+    /**
+     * @private
+     * Whether a deferred teardown is waiting for the next microtask (see `deferTeardown`).
+     * @type {boolean}
+     */
+    _teardownPending = false;
+
+    /**
+     * @private
+     * Validates a prop value and sets the prop's state. Used by the prop's element property.
+     * @type {function(string, *): void}
+     */
+    _setProp;
+
+    /**
+     * @private
+     * Converts an attribute value to its prop's type and sets the prop's state.
+     * @type {function(string, string|null): void}
+     */
+    _applyAttribute;
+
+    /**
+     * @private
+     * Updates `ctx.slots` from the element's children before a render. With `lightSlots`, the children are first
+     * taken out of the element, to be projected into the slots the render returns.
+     * @type {Function}
+     */
+    _assignSlots;
+
+    /**
+     * @private
+     * Watches the element's children for `ctx.slots` while it is connected; disconnected on teardown.
+     * @type {MutationObserver|null}
+     */
+    _slotObserver = null;
+
     constructor() {
       super();
 
@@ -114,7 +375,14 @@ export const defineComponent = (options) => {
         shadow: null,
         states: {},
         methods: {},
-        cleanup: []
+        cleanup: [],
+        emit: (name, detail, eventOptions = {}) => {
+          if (declaredEvents && !declaredEvents[name]) {
+            console.warn(`<${tag}> emitted "${name}", which is not in its events declaration.`);
+          }
+          const init = { bubbles: true, composed: true, ...(declaredEvents && declaredEvents[name]), ...eventOptions };
+          return this.dispatchEvent(new CustomEvent(name, { ...init, detail }));
+        }
       };
 
       if (shadowMode) {
@@ -126,71 +394,370 @@ export const defineComponent = (options) => {
         }
       }
 
-      const setupResult = setup(ctx);
+      // ctx.slots holds one state per slot name, so that a render reads only the slots it uses.
+      // A state first read by a render is created outside of it, so that it outlives that render
+      const slotStates = new Map();
+      const slotState = (name) => {
+        if (!slotStates.has(name)) {
+          slotStates.set(name, untrack(() => useState([])));
+        }
+        return slotStates.get(name);
+      };
+      ctx.slots = new Proxy({}, {
+        get(_target, name) {
+          return typeof name === 'string' ? slotState(name).get() : undefined;
+        }
+      });
+      const refreshSlots = (nodes) => {
+        const groups = groupBySlot(nodes);
+        batch(() => {
+          groups.forEach((_assigned, name) => slotState(name));
+          slotStates.forEach((stateObj, name) => {
+            const assigned = groups.get(name) || [];
+            const current = untrack(stateObj.get);
+            if (assigned.length !== current.length || assigned.some((node, i) => node !== current[i])) {
+              stateObj.set(() => assigned);
+            }
+          });
+        });
+      };
 
-      if (setupResult && setupResult.state) {
-        Object.entries(setupResult.state).forEach(([key, stateObj]) => {
-          ctx.states[key] = stateObj;
-          if (stateObj && typeof stateObj.get === 'function' && typeof stateObj.set === 'function') {
-            ctx[key] = { get: stateObj.get, set: stateObj.set };
+      // A shadow root assigns the children to its slots itself. slotchange reports changes to the children
+      // of rendered slots; the observer also sees children added for slots that are not rendered
+      const refreshShadowSlots = () => refreshSlots(Array.from(this.childNodes));
+      if (shadowMode) {
+        ctx.shadow.addEventListener('slotchange', refreshShadowSlots);
+      }
+
+      // With lightSlots, the children are taken out of the element on the first connection and projected
+      // into the slots of every render. Renders of the parent patch them through the projection, and
+      // children appended later are picked up by the observer
+      let projectedNodes = null;
+      let renderedNodes = new Set();
+      const projectSlots = () => {
+        const groups = groupBySlot(projectedNodes);
+        const filled = new Set();
+        renderedSlots(this).forEach(slot => {
+          // A slot's own children are its fallback content, kept while it shows assigned children
+          if (!getProjectedNodes(slot)) {
+            setProjection(slot, Array.from(slot.childNodes));
           }
-          const unsubscribe = stateObj.subscribe(() => this.render());
-          ctx.cleanup.push(unsubscribe);
+          const name = slot.getAttribute('name') || 'default';
+          const assigned = filled.has(name) ? [] : groups.get(name) || [];
+          filled.add(name);
+          placeNodes(slot, assigned.length > 0 ? assigned : getProjectedNodes(slot));
         });
+      };
+      const updateChildren = (nodes) => {
+        projectedNodes = nodes;
+        if (this._rendered) {
+          projectSlots();
+        }
+        refreshSlots(nodes);
+      };
+      const adoptChildren = () => {
+        const added = Array.from(this.childNodes).filter(node => !renderedNodes.has(node));
+        if (added.length === 0) return;
+        added.forEach(node => this.removeChild(node));
+        const nodes = [...projectedNodes, ...added];
+        setProjection(this, nodes, updateChildren);
+        updateChildren(nodes);
+      };
+
+      // One observer per element, observing only while it is connected
+      if (shadowMode) {
+        this._slotObserver = new MutationObserver(refreshShadowSlots);
+      } else if (lightSlots) {
+        this._slotObserver = new MutationObserver(adoptChildren);
       }
 
-      if (attributesSchema) {
-        Object.entries(attributesSchema).forEach(([attrName, attrType]) => {
-          if (this.hasAttribute(attrName)) {
-            const value = this.getAttribute(attrName);
-            const camelCaseName = dashToCamelCase(attrName);
-
-            if (ctx.states[camelCaseName] && typeof ctx.states[camelCaseName].set === 'function') {
-              let coercedValue;
-              switch (attrType) {
-                case 'string':
-                  coercedValue = String(value);
-                  break;
-                case 'number':
-                  coercedValue = Number(value);
-                  break;
-                case 'boolean':
-                  coercedValue = value !== null && value !== 'false';
-                  break;
-                default:
-                  coercedValue = value; // Or handle error/warning
-              }
-              ctx.states[camelCaseName].set(coercedValue);
+      this._assignSlots = () => {
+        if (shadowMode) {
+          refreshShadowSlots();
+        } else if (lightSlots) {
+          if (projectedNodes === null) {
+            projectedNodes = [];
+            setProjection(this, projectedNodes, updateChildren);
+          }
+          adoptChildren();
+        }
+        if (this._slotObserver) {
+          this._slotObserver.observe(this, { childList: true });
+        }
+      };
+
+      // State changes mark the component dirty and schedule a single render for the current task
+      let needsRender = false;
+      const renderJob = () => {
+        if (needsRender && this.isConnected) {
+          this.render();
+        }
+      };
+      const requestRender = () => {
+        needsRender = true;
+        scheduleUpdate(renderJob);
+      };
+
+      // Errors are caught and reported here instead of escaping; the fallback is rendered until reset
+      let error = null;
+      const notifyError = (caught, phase) => {
+        const info = { phase, tag, element: this };
+        reportError(caught, info);
+        if (onError) {
+          onError(caught, info, ctx);
+        }
+      };
+      const recordError = (caught, phase) => {
+        error = caught;
+        notifyError(caught, phase);
+      };
+      // A method or effect error leaves the last render in place unless there is a fallback to show
+      const handleError = (caught, phase) => {
+        if (fallback === null) {
+          notifyError(caught, phase);
+          return;
+        }
+        recordError(caught, phase);
+        requestRender();
+      };
+      const reset = () => {
+        error = null;
+        requestRender();
+      };
+
+      // Props: attribute values are converted to their types, validated and set as state.
+      // Writes made while reflecting a state to its attribute are not read back.
+      let reflecting = false;
+      const providedProps = new Set();
+      const setState = (name, value) => {
+        const stateObj = ctx.states[name];
+        if (stateObj && typeof stateObj.set === 'function') {
+          stateObj.set(() => value);
+        }
+      };
+      this._setProp = (attrName, value) => {
+        const name = dashToCamelCase(attrName);
+        const problem = validateProp(value, propDefinitions[attrName]);
+        if (problem) {
+          console.warn(`Invalid value for prop "${name}" of <${tag}>: ${problem}.`);
+        }
+        providedProps.add(attrName);
+        setState(name, value);
+      };
+      const applyAttribute = (attrName, attrValue) => {
+        if (reflecting) return;
+        const definition = propDefinitions[attrName];
+
+        // A removed attribute restores the default
+        if (attrValue === null) {
+          setState(dashToCamelCase(attrName), definition.default !== undefined ? definition.default : null);
+          return;
+        }
+
+        let value;
+        try {
+          value = convertAttributeValue(attrValue, definition.type);
+        } catch (caught) {
+          console.warn(`Invalid value for prop "${dashToCamelCase(attrName)}" of <${tag}>: ${caught.message}.`);
+          return;
+        }
+        this._setProp(attrName, value);
+      };
+      this._applyAttribute = applyAttribute;
+
+      // onMount, onCleanup and useEffect calls made during setup are bound to this owner
+      const owner = createOwner(caught => handleError(caught, 'effect'));
+      this._owner = owner;
+
+      // Setup runs once, in its own Maverick.js root, which owns the states and computed values it creates.
+      // Each connection gets a child scope of that root: renders and mount callbacks run in it, and with
+      // them the effects, subscriptions and resources that setup binds to the component, so that
+      // disconnecting the element disposes them and connecting it again starts them afresh
+      let disposeScope = null;
+      this._createScope = () => {
+        scoped(() => root((dispose) => {
+          disposeScope = dispose;
+          this._scope = getScope();
+        }), this._stateScope);
+      };
+      this._disposeScope = () => {
+        if (disposeScope) {
+          disposeScope();
+          disposeScope = null;
+          this._scope = null;
+        }
+      };
+
+      const runSetup = () => {
+        let setupResult;
+        try {
+          // Effects report their errors instead of throwing into state updates.
+          // The root is detached, so a parent component's render cannot dispose it.
+          setupResult = untrack(() => root(() => {
+            this._stateScope = getScope();
+            onScopeError(caught => handleError(caught, 'effect'));
+            return runWithOwner(owner, () => setup(ctx));
+          }));
+        } catch (caught) {
+          recordError(caught, 'setup');
+        }
+
+        if (setupResult && setupResult.state) {
+          Object.entries(setupResult.state).forEach(([key, stateObj]) => {
+            ctx.states[key] = stateObj;
+            // The shortcut keeps `subscribe`, so that it can be bound in fine-grained JSX like the state itself
+            if (stateObj && typeof stateObj.get === 'function' && typeof stateObj.set === 'function') {
+              ctx[key] = { get: stateObj.get, set: stateObj.set, subscribe: stateObj.subscribe };
             }
+          });
+        }
+
+        Object.entries(propDefinitions).forEach(([attrName, definition]) => {
+          const name = dashToCamelCase(attrName);
+          if (!ctx.states[name]) {
+            const stateObj = useState(definition.default);
+            ctx.states[name] = stateObj;
+            ctx[name] = { get: stateObj.get, set: stateObj.set, subscribe: stateObj.subscribe };
+          } else if (!this.hasAttribute(attrName) && definition.default !== undefined) {
+            setState(name, definition.default);
           }
-        });
-      }
 
-      if (setupResult && setupResult.methods) {
-        Object.entries(setupResult.methods).forEach(([key, methodFn]) => {
-          const method = (...args) => methodFn(ctx, ...args);
-          ctx.methods[key] = method;
-          ctx[key] = method;
-        });
-      }
+          if (this.hasAttribute(attrName)) {
+            applyAttribute(attrName, this.getAttribute(attrName));
+          }
 
-      if (setupResult && setupResult.effects) {
-        setupResult.effects.forEach(effectCleanupFn => {
-          if (typeof effectCleanupFn === 'function') {
-            ctx.cleanup.push(effectCleanupFn);
-          } else if (effectCleanupFn && typeof effectCleanupFn.unsubscribe === 'function') {
-            // Handle cases where an effect might return an object with an unsubscribe method
-            ctx.cleanup.push(() => effectCleanupFn.unsubscribe());
+          // A reflected prop writes its state back to the attribute, starting once the element is connected
+          if (definition.reflect) {
+            const stateObj = ctx.states[name];
+            runWithOwner(owner, () => useEffect(() => {
+              const attrValue = serializeAttributeValue(stateObj.get(), definition.type);
+              if (attrValue === this.getAttribute(attrName)) return;
+              reflecting = true;
+              try {
+                if (attrValue === null) {
+                  this.removeAttribute(attrName);
+                } else {
+                  this.setAttribute(attrName, attrValue);
+                }
+              } finally {
+                reflecting = false;
+              }
+            }, [stateObj]));
           }
         });
-      }
+
+        // Required props can be set as attributes or properties until the element is mounted
+        runWithOwner(owner, () => onMount(() => {
+          Object.entries(propDefinitions).forEach(([attrName, definition]) => {
+            if (definition.required && !providedProps.has(attrName) && !this.hasAttribute(attrName)) {
+              console.warn(`Missing required prop "${dashToCamelCase(attrName)}" of <${tag}>.`);
+            }
+          });
+        }));
+
+        if (setupResult && setupResult.methods) {
+          Object.entries(setupResult.methods).forEach(([key, methodFn]) => {
+            // Batch the writes made by a method so that subscribers are notified once
+            const method = (...args) => {
+              try {
+                const result = batch(() => methodFn(ctx, ...args));
+                if (result && typeof result.catch === 'function') {
+                  result.catch(caught => handleError(caught, 'method'));
+                }
+                return result;
+              } catch (caught) {
+                handleError(caught, 'method');
+              }
+            };
+            ctx.methods[key] = method;
+            ctx[key] = method;
+          });
+        }
+
+        if (setupResult && setupResult.effects) {
+          setupResult.effects.forEach(effectCleanupFn => {
+            // Effects and subscriptions created during setup are already stopped and restarted with the component
+            if (isMountBound(effectCleanupFn)) return;
+            if (typeof effectCleanupFn === 'function') {
+              ctx.cleanup.push(effectCleanupFn);
+            } else if (effectCleanupFn && typeof effectCleanupFn.unsubscribe === 'function') {
+              // Handle cases where an effect might return an object with an unsubscribe method
+              ctx.cleanup.push(() => effectCleanupFn.unsubscribe());
+            }
+          });
+        }
+      };
 
       this._ctx = ctx;
+      runSetup();
 
-      this.render = () => {
-        const vdom = renderFn(this._ctx);
+      // Values assigned to exposed and prop properties before the element was upgraded are own
+      // properties that hide the prototype's; move them into state
+      [...expose, ...Object.keys(propDefinitions).map(dashToCamelCase)].forEach(name => {
+        if (Object.prototype.hasOwnProperty.call(this, name)) {
+          const value = this[name];
+          delete this[name];
+          this[name] = value;
+        }
+      });
+
+      // Every render records the signals it reads (state, computed values, store paths) in its own
+      // effect; the first change to any of them schedules the next render, which tracks afresh.
+      // The effect lives in the connection's scope, so anything created while rendering is disposed with it.
+      let stopTracking = null;
+      this._stopTracking = () => {
+        if (stopTracking) {
+          stopTracking();
+          stopTracking = null;
+        }
+      };
+      const track = (draw) => {
+        this._stopTracking();
+        scoped(() => root((dispose) => {
+          stopTracking = dispose;
+          let drawn = false;
+          effect(() => {
+            if (drawn) {
+              requestRender();
+              return;
+            }
+            drawn = true;
+            draw();
+          });
+        }), this._scope);
+      };
+
+      const renderFallback = () => (typeof fallback === 'function' ? fallback(error, reset) : fallback);
+      const draw = () => {
         const target = this._ctx.shadow || this; // Render to shadow DOM if available, else light DOM
-        applyDiff(target, vdom);
+        if (lightSlots) {
+          // Children appended since the last render are adopted before it reads ctx.slots
+          adoptChildren();
+        }
+        try {
+          // Function components in the tree run inside applyDiff, so it is guarded too
+          withBindings(() => applyDiff(target, error ? renderFallback() : renderFn(this._ctx)), fineGrained);
+        } catch (caught) {
+          recordError(caught, 'render');
+          withBindings(() => applyDiff(target, renderFallback()), fineGrained);
+        }
+
+        if (lightSlots) {
+          renderedNodes = new Set(this.childNodes);
+          projectSlots();
+          // The render's own changes to the children are not new children
+          this._slotObserver.takeRecords();
+        }
+      };
+
+      this.render = () => {
+        needsRender = false;
+        // A fine-grained template is not re-rendered, so its reads are left to its bindings
+        if (fineGrained) {
+          scoped(draw, this._scope);
+        } else {
+          track(draw);
+        }
 
         if (globalThis.htmx && globalThis.htmx.process) {
           if (this._ctx.shadow && processHtmxInShadow) {
@@ -202,29 +769,52 @@ export const defineComponent = (options) => {
       };
     }
 
+    /**
+     * The names of the declared events, used by the renderer to match `onXxx` props to them.
+     * @returns {Array<string>} The event names.
+     */
+    static get events() {
+      return declaredEvents ? Object.keys(declaredEvents) : [];
+    }
+
     /**
      * Standard custom element lifecycle callback.
      * @returns {Array<string>} The array of observed attribute names.
      */
     static get observedAttributes() {
-      if (attributesSchema && Object.keys(attributesSchema).length > 0) {
-        return Object.keys(attributesSchema);
+      if (Object.keys(propDefinitions).length > 0) {
+        return Object.keys(propDefinitions);
       }
       return attributes; // Fallback to manually listed attributes
     }
 
     /**
      * Standard custom element lifecycle callback, called when the element is connected to the DOM.
+     * Assigns its children to slots, renders the component, then runs its `onMount` callbacks and starts its effects.
+     * After a disconnection, this restarts them with the state the component had.
      */
     connectedCallback() {
+      // A move: the element was disconnected in this same task and is still set up, so there is nothing to redo
+      if (this._teardownPending) {
+        this._teardownPending = false;
+        return;
+      }
+
+      // A fine-grained template is rendered once per connection and then updated by its bindings
+      if (fineGrained && this._rendered) return;
+      if (!this._scope) {
+        this._createScope();
+      }
+      this._assignSlots();
+      this._rendered = true;
       this.render();
+      scoped(() => mountOwner(this._owner), this._scope);
     }
 
     /**
      * Standard custom element lifecycle callback, called when an observed attribute changes.
-     * Handles special 'data-number-' prefixed attributes by attempting to convert them to numbers
-     * and set them on the corresponding state property if it exists and has a `set` method.
-     * Triggers a re-render.
+     * For a prop, converts the new value to the prop's type, validates it and sets the prop's state,
+     * which re-renders the component if it reads it.
      * @param {string} name - The name of the attribute that changed.
      * @param {string|null} oldValue - The old value of the attribute.
      * @param {string|null} newValue - The new value of the attribute.
@@ -232,45 +822,60 @@ export const defineComponent = (options) => {
     attributeChangedCallback(name, oldValue, newValue) {
       if (oldValue === newValue) return;
 
-      if (attributesSchema && attributesSchema[name]) {
-        const attrType = attributesSchema[name];
-        const camelCaseName = dashToCamelCase(name);
-
-        if (this._ctx && this._ctx.states[camelCaseName] && typeof this._ctx.states[camelCaseName].set === 'function') {
-          let coercedValue;
-          switch (attrType) {
-            case 'string':
-              coercedValue = String(newValue);
-              break;
-            case 'number':
-              coercedValue = Number(newValue);
-              break;
-            case 'boolean':
-              coercedValue = newValue !== null && newValue !== 'false';
-              break;
-            default:
-              coercedValue = newValue; // Or handle error/warning
-          }
-          this._ctx.states[camelCaseName].set(coercedValue);
-        }
+      if (propDefinitions[name] && this._ctx) {
+        this._applyAttribute(name, newValue);
       }
-
     }
 
     /**
      * Standard custom element lifecycle callback, called when the element is disconnected from the DOM.
+     * Tears the component down, immediately or, with `deferTeardown`, in a microtask unless it is connected again first.
      */
     disconnectedCallback() {
+      if (!deferTeardown) {
+        this._teardown();
+        return;
+      }
+
+      this._teardownPending = true;
+      queueMicrotask(() => {
+        if (this._teardownPending && !this.isConnected) {
+          this._teardownPending = false;
+          this._teardown();
+        }
+      });
+    }
+
+    /**
+     * @private
+     * Tears down the rendered tree (bindings, refs and portal content), stops the component's effects
+     * and subscriptions and runs the cleanup functions. States, methods and prop values are kept,
+     * so that a later connection renders and restarts the component as it was.
+     */
+    _teardown() {
+      this._stopTracking();
+      unmount(this._ctx.shadow || this);
+      this._rendered = false;
+      if (this._slotObserver) {
+        this._slotObserver.disconnect();
+      }
+      disposeOwner(this._owner);
+
       if (this._ctx && this._ctx.cleanup) {
         this._ctx.cleanup.forEach(fn => {
           if (typeof fn === 'function') {
             fn();
           }
         });
-        this._ctx.cleanup = [];
       }
+
+      this._disposeScope();
     }
-  });
+  };
+
+  expose.forEach(name => exposeProperty(ComponentElement.prototype, name));
+  Object.keys(propDefinitions).forEach(attrName => propProperty(ComponentElement.prototype, attrName));
+  customElements.define(tag, ComponentElement);
 
   return tag;
 };
@@ -280,12 +885,27 @@ export const defineComponent = (options) => {
  * @property {string} tag - Required. The HTML tag name for the custom element.
  * @property {Object} [state] - Optional. Object defining reactive state variables. Keys become state names, values are initial values.
  * @property {Object} [computed] - Optional. Object defining computed state. Keys become computed names, values are compute functions.
- * @property {Object} [methods] - Optional. Object defining methods. Keys become method names, values are functions.
- * @property {Object} [attrs] - Optional. Object defining attributes to observe. Keys are attribute names, values are types or default values.
+ *   Each one receives the state accessor (also `this`).
+ * @property {Object} [methods] - Optional. Object defining methods. Keys become method names, values are functions that receive
+ *   the state accessor (also `this`) followed by the call's arguments. The state accessor reads and writes states, reads
+ *   computed values (writing one throws), calls sibling methods, reads declared attributes, and provides the host `element`,
+ *   `emit(name, detail, options)` (see `ComponentContext.emit`) and `slots` (see `ComponentContext.slots`).
+ * @property {Object} [attrs] - Optional. Object defining the component's props (see `ComponentOptions.attributesSchema`). Keys are attribute
+ *   names, values are types, prop definitions or default values. Each one becomes a camelCased state and element property.
  * @property {Function} [setup] - Optional. Advanced setup function for complex initialization.
  * @property {Function} render - Required. Render function that receives reactive state as direct properties.
  * @property {'open'|'closed'|null} [shadowMode='open'] - Shadow DOM mode. Defaults to 'open'.
+ * @property {boolean} [lightSlots=false] - With `shadowMode: null`, keep the element's children and project them into the
+ *   `<slot>` elements it renders (see `ComponentOptions.lightSlots`).
  * @property {boolean} [useMonospaceStyles=true] - Whether to apply default monospace styles.
+ * @property {boolean} [fineGrained=false] - Render once and update only reactive bindings (see `ComponentOptions.fineGrained`).
+ *   Read state inside getter functions in the JSX (`{() => state.count}`) so that it stays reactive.
+ * @property {Function} [onError] - Called when setup, render, an effect or a method throws (see `ComponentOptions.onError`).
+ * @property {Object|Function} [fallback] - Rendered after an error; a function receives the error and a `reset` function.
+ * @property {Array<string>} [expose] - Names of states, computed values and methods to make public properties of the element
+ *   (see `ComponentOptions.expose`).
+ * @property {Array<string>|Object} [events] - The events the component emits (see `ComponentOptions.events`).
+ * @property {boolean} [deferTeardown=true] - Keep a component that is moved within a task set up (see `ComponentOptions.deferTeardown`).
  */
 
 /**
@@ -305,33 +925,38 @@ export const component = (options) => {
     setup: customSetup,
     render: renderFn,
     shadowMode = 'open',
-    useMonospaceStyles = true
+    lightSlots,
+    useMonospaceStyles = true,
+    fineGrained = false,
+    onError,
+    fallback,
+    deferTeardown,
+    expose,
+    events
   } = options;
 
   if (!tag || !renderFn) {
     throw new Error('Simplified component requires tag and render function');
   }
 
-  // Convert attrs config to attributesSchema
+  // Convert the attrs config to prop definitions. Each entry is a type ('number'), a definition
+  // ({ type: 'number', default: 0, reflect: true }) or a default value that the type is inferred from (0)
   const attributesSchema = {};
   Object.entries(attrsConfig).forEach(([attrName, config]) => {
-    if (typeof config === 'string') {
-      // Type specified: { 'initial-count': 'number' }
-      attributesSchema[attrName] = config;
-    } else if (typeof config === 'object' && config.type) {
-      // Object with type: { 'initial-count': { type: 'number', default: 0 } }
-      attributesSchema[attrName] = config.type;
-    } else {
-      // Infer type from default value
-      const type = typeof config;
-      attributesSchema[attrName] = type === 'object' ? 'string' : type;
-    }
+    attributesSchema[attrName] = normalizeProp(config);
   });
 
   return defineComponent({
     tag,
     shadowMode,
+    lightSlots,
     useMonospaceStyles,
+    fineGrained,
+    onError,
+    fallback,
+    deferTeardown,
+    expose,
+    events,
     attributesSchema,
 
     setup: (ctx) => {
@@ -339,55 +964,44 @@ export const component = (options) => {
       const methods = {};
       const effects = [];
 
-      // Create state variables
+      // Create state variables. A state backed by an attribute starts at the attribute's default;
+      // defineComponent applies the attribute's value, and creates states for attributes not listed here
       Object.entries(stateConfig).forEach(([key, initialValue]) => {
-        // Handle attribute defaults
-        const attrName = key.replace(/([A-Z])/g, '-$1').toLowerCase();
-        if (attrsConfig[attrName]) {
-          const attrConfig = attrsConfig[attrName];
-          const defaultValue = typeof attrConfig === 'object' && attrConfig.default !== undefined
-            ? attrConfig.default
-            : initialValue;
-
-          // Get value from attribute if present
-          if (ctx.element.hasAttribute(attrName)) {
-            const attrValue = ctx.element.getAttribute(attrName);
-            const attrType = attributesSchema[attrName];
-
-            let coercedValue;
-            switch (attrType) {
-              case 'number':
-                coercedValue = Number(attrValue);
-                break;
-              case 'boolean':
-                coercedValue = attrValue !== null && attrValue !== 'false';
-                break;
-              default:
-                coercedValue = attrValue;
-            }
-            states[key] = useState(coercedValue);
-          } else {
-            states[key] = useState(defaultValue);
-          }
-        } else {
-          states[key] = useState(initialValue);
-        }
+        const definition = attributesSchema[key.replace(/([A-Z])/g, '-$1').toLowerCase()];
+        states[key] = useState(definition && definition.default !== undefined ? definition.default : initialValue);
       });
 
-      // Create a state accessor for methods and computed functions
+      // Create a state accessor for methods and computed functions: states (attributes included)
+      // and computed values, sibling methods, the host `element`, `emit` and `slots`.
+      // States returned by the custom setup (in `ctx.states` once setup is done) replace declared ones
+      const stateOf = (prop) => ctx.states[prop] || states[prop];
       const stateAccessor = new Proxy({}, {
         get(_target, prop) {
-          if (states[prop]) {
-            return states[prop].get();
+          if (stateOf(prop)) {
+            return stateOf(prop).get();
+          }
+          if (ctx.methods[prop]) {
+            return ctx.methods[prop];
+          }
+          if (prop === 'element') {
+            return ctx.element;
+          }
+          if (prop === 'emit') {
+            return ctx.emit;
+          }
+          if (prop === 'slots') {
+            return ctx.slots;
           }
           return undefined;
         },
         set(_target, prop, value) {
-          if (states[prop] && typeof states[prop].set === 'function') {
-            states[prop].set(value);
+          const stateObj = stateOf(prop);
+          if (stateObj && typeof stateObj.set === 'function') {
+            stateObj.set(value);
             return true;
           }
-          return false;
+          const reason = stateObj ? 'it is a computed value' : 'it is not a state';
+          throw new Error(`Cannot set "${String(prop)}" of <${tag}>: ${reason}.`);
         }
       });
 
@@ -398,12 +1012,14 @@ export const component = (options) => {
 
       // Create methods with access to state accessor
       Object.entries(methodsConfig).forEach(([key, methodFn]) => {
-        methods[key] = (...args) => methodFn.call(stateAccessor, stateAccessor, ...args);
+        // defineComponent passes the context first; these methods get the state accessor instead
+        methods[key] = (_ctx, ...args) => methodFn.call(stateAccessor, stateAccessor, ...args);
       });
 
-      // Run custom setup if provided
+      // Run custom setup if provided; it can use the states declared above through `ctx.states`
       let customResult = {};
       if (customSetup) {
+        Object.assign(ctx.states, states);
         customResult = customSetup(ctx) || {};
       }
 
@@ -428,17 +1044,6 @@ export const component = (options) => {
           if (ctx[prop]) {
             return ctx[prop];
           }
-          // Handle attribute access
-          if (attrsConfig[prop] || attrsConfig[prop.replace(/([A-Z])/g, '-$1').toLowerCase()]) {
-            const attrName = prop.replace(/([A-Z])/g, '-$1').toLowerCase();
-            const attrValue = ctx.element.getAttribute(attrName);
-            const attrConfig = attrsConfig[attrName];
-
-            if (typeof attrConfig === 'object' && attrConfig.default !== undefined) {
-              return attrValue !== null ? attrValue : attrConfig.default;
-            }
-            return attrValue;
-          }
           return undefined;
         }
       });
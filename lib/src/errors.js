@@ -0,0 +1,57 @@
+/**
+ * @module errors
+ * @description This module provides error reporting for failures caught by error boundaries:
+ * component setup, render, effect and method errors, errors caught by `<ErrorBoundary>`
+ * and errors thrown by scheduled update jobs.
+ */
+
+/**
+ * @typedef {Object} ErrorInfo
+ * @property {'setup'|'render'|'effect'|'method'|'update'} phase - Where the error was thrown.
+ * @property {string} [tag] - The tag name of the component the error belongs to, if any.
+ * @property {HTMLElement} [element] - The component element the error belongs to, if any.
+ */
+
+/**
+ * The global error handler, or `null` to log errors to the console.
+ * @type {Function|null}
+ */
+let errorHandler = null;
+
+/**
+ * Sets the global error handler. It is called with the error and an `ErrorInfo` object
+ * for every error caught by an error boundary. Pass `null` to restore the default,
+ * which logs errors to the console.
+ *
+ * @param {function(Error, ErrorInfo): void|null} handler - The error handler.
+ */
+export const setErrorHandler = (handler) => {
+  errorHandler = typeof handler === 'function' ? handler : null;
+};
+
+/**
+ * Returns the global error handler set with `setErrorHandler`.
+ * @returns {Function|null} The error handler, or `null` if none is set.
+ */
+export const getErrorHandler = () => errorHandler;
+
+/**
+ * Reports a caught error to the global error handler, or logs it if there is none.
+ * An error thrown by the handler itself is logged rather than propagated.
+ *
+ * @param {*} error - The caught error.
+ * @param {ErrorInfo} info - Where the error was thrown.
+ */
+export const reportError = (error, info) => {
+  if (errorHandler) {
+    try {
+      errorHandler(error, info);
+      return;
+    } catch (handlerError) {
+      console.error('Error in onError handler:', handlerError);
+    }
+  }
+
+  const source = info.tag ? ` of <${info.tag}>` : '';
+  console.error(`Error during ${info.phase}${source}:`, error);
+};
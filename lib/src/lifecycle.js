@@ -0,0 +1,206 @@
+/**
+ * @module lifecycle
+ * @description This module provides the component lifecycle helpers `onMount` and `onCleanup`,
+ * and the owner that binds them (and `useEffect`) to the component whose `setup` is running.
+ */
+
+/**
+ * @typedef {Object} Owner
+ * @property {boolean} mounted - Whether the component has been mounted (rendered while connected).
+ * @property {Array<Function>} mounts - Callbacks registered with `onMount` during setup. They run on every mount.
+ * @property {Array<Function>} cleanups - Functions to run when the component is disconnected, returned by mount callbacks
+ *   or registered while it is mounted. They run once.
+ * @property {Array<Function>} disposers - Functions registered with `onCleanup` during setup. They run on every disconnection.
+ * @property {function(*): void} [onError] - Receives errors thrown by mount and cleanup callbacks.
+ *   Without it they are rethrown.
+ */
+
+/**
+ * The owner of the component whose `setup` (or mount callbacks) is running, if any.
+ * @type {Owner|null}
+ */
+let currentOwner = null;
+
+/**
+ * Creates an owner for a component instance.
+ *
+ * @param {function(*): void} [onError] - Receives errors thrown by mount and cleanup callbacks.
+ * @returns {Owner} A new, unmounted owner.
+ */
+export const createOwner = (onError) => ({
+  mounted: false,
+  mounts: [],
+  cleanups: [],
+  disposers: [],
+  onError
+});
+
+/**
+ * Returns the owner of the component whose `setup` is running.
+ * @returns {Owner|null} The current owner, or `null` outside of a component.
+ */
+export const getOwner = () => currentOwner;
+
+/**
+ * Runs a function with the given owner as the current one, so that `onMount`, `onCleanup`
+ * and `useEffect` calls made by it are bound to that owner.
+ *
+ * @param {Owner|null} owner - The owner to make current.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The return value of `fn`.
+ */
+export const runWithOwner = (owner, fn) => {
+  const previousOwner = currentOwner;
+  currentOwner = owner;
+  try {
+    return fn();
+  } finally {
+    currentOwner = previousOwner;
+  }
+};
+
+/**
+ * Calls a lifecycle callback, passing any error it throws to the owner's error handler.
+ *
+ * @param {Owner} owner - The owner the callback belongs to.
+ * @param {Function} fn - The callback.
+ * @returns {*} The return value of `fn`, or `undefined` if it threw.
+ */
+const runCallback = (owner, fn) => {
+  try {
+    return runWithOwner(owner, fn);
+  } catch (error) {
+    if (!owner.onError) throw error;
+    owner.onError(error);
+  }
+};
+
+/**
+ * Registers a function to run once the current component has been rendered and connected to
+ * the DOM, and again every time it is connected after a disconnection. If it returns a function,
+ * that function runs when the component is disconnected. Must be called during a component's `setup`
+ * (or a mount callback, where it runs right away, for the current connection only).
+ *
+ * @param {function(): (Function|void)} fn - The function to run on mount.
+ * @throws {Error} If called outside of a component's `setup`.
+ */
+export const onMount = (fn) => {
+  const owner = currentOwner;
+  if (!owner) {
+    throw new Error('onMount must be called during a component setup');
+  }
+
+  const mount = () => {
+    const cleanup = runCallback(owner, fn);
+    if (typeof cleanup === 'function') {
+      owner.cleanups.push(cleanup);
+    }
+  };
+
+  if (owner.mounted) {
+    mount();
+  } else {
+    owner.mounts.push(mount);
+  }
+};
+
+/**
+ * Functions returned by `whileMounted` that stop what it started for good.
+ * @type {WeakSet<Function>}
+ */
+const boundStops = new WeakSet();
+
+/**
+ * Keeps something running while the current component is mounted: `start` is called on every mount
+ * and the function it returns on every disconnection. Outside of a component's `setup`, `start`
+ * is called right away. Effects, subscriptions and listeners created by state helpers use this,
+ * so that a component that is disconnected and connected again stops and restarts them.
+ *
+ * @param {function(): Function} start - Starts the work and returns a function that stops it.
+ * @returns {Function} A function that stops the work and keeps it from starting again.
+ */
+export const whileMounted = (start) => {
+  if (!currentOwner) {
+    return start();
+  }
+
+  let stopCurrent = null;
+  let stopped = false;
+  const stopNow = () => {
+    if (stopCurrent) {
+      stopCurrent();
+      stopCurrent = null;
+    }
+  };
+
+  onMount(() => {
+    if (stopped) return;
+    stopCurrent = start();
+    return stopNow;
+  });
+
+  const stop = () => {
+    stopped = true;
+    stopNow();
+  };
+  boundStops.add(stop);
+  return stop;
+};
+
+/**
+ * Checks whether a function is a stop function returned by `whileMounted` for a component. The component
+ * stops and restarts that work itself, so the function must not be called when it is disconnected.
+ *
+ * @param {*} fn - The function.
+ * @returns {boolean} True if it was returned by `whileMounted` during a component's `setup`.
+ */
+export const isMountBound = (fn) => boundStops.has(fn);
+
+/**
+ * Registers a function to run when the current component is disconnected from the DOM: every time,
+ * if it is called during a component's `setup`, or once, if it is called in a mount callback.
+ *
+ * @param {Function} fn - The cleanup function.
+ * @throws {Error} If called outside of a component's `setup`.
+ */
+export const onCleanup = (fn) => {
+  if (!currentOwner) {
+    throw new Error('onCleanup must be called during a component setup');
+  }
+  if (currentOwner.mounted) {
+    currentOwner.cleanups.push(fn);
+  } else {
+    currentOwner.disposers.push(fn);
+  }
+};
+
+/**
+ * Marks an owner as mounted and runs its `onMount` callbacks, in registration order.
+ *
+ * @param {Owner} owner - The owner to mount.
+ */
+export const mountOwner = (owner) => {
+  if (owner.mounted) return;
+  owner.mounted = true;
+  owner.mounts.slice().forEach(mount => mount());
+};
+
+/**
+ * Marks an owner as unmounted and runs its cleanup functions, most recently registered first,
+ * followed by the functions registered with `onCleanup` during setup. The `onMount` callbacks
+ * are kept, to run again on the next mount.
+ *
+ * @param {Owner} owner - The owner to dispose.
+ */
+export const disposeOwner = (owner) => {
+  if (!owner.mounted) return;
+  const cleanups = owner.cleanups;
+  owner.cleanups = [];
+  owner.mounted = false;
+  for (let i = cleanups.length - 1; i >= 0; i--) {
+    runCallback(owner, cleanups[i]);
+  }
+  for (let i = owner.disposers.length - 1; i >= 0; i--) {
+    runCallback(owner, owner.disposers[i]);
+  }
+};
@@ -0,0 +1,182 @@
+/**
+ * @module props
+ * @description This module provides typed component props: the conversions between attribute strings
+ * and typed values (shared by components and the server renderer), and prop validation.
+ */
+
+/**
+ * @typedef {Object} PropConverter
+ * @property {function(string): *} fromAttribute - Converts an attribute string to the prop value.
+ * @property {function(*): (string|null)} [toAttribute] - Converts the prop value to an attribute string, for `reflect`.
+ *   Returning `null` removes the attribute. Defaults to `String(value)`.
+ */
+
+/**
+ * @typedef {'string'|'number'|'boolean'|'object'|'array'|'date'|'json'|PropConverter|function(string): *} PropType
+ * The built-in types convert attribute strings as follows: `'number'` with `Number()`, `'boolean'` by presence
+ * (any value but `"false"` is `true`), `'object'`, `'array'` and `'json'` with `JSON.parse`, and `'date'` with `new Date()`.
+ * A function converts from the attribute only; a `PropConverter` object converts both ways.
+ */
+
+/**
+ * @typedef {Object} PropDefinition
+ * @property {PropType} [type='string'] - How the attribute string is converted to the prop value.
+ * @property {*} [default] - The value used while the attribute is absent, and after it is removed. Defaults to `false`
+ *   for `'boolean'` props.
+ * @property {boolean} [reflect=false] - Whether changes to the prop's state are written back to the attribute.
+ * @property {boolean} [required=false] - Whether a warning is logged if neither the attribute nor the property is set by the time
+ *   the component is mounted.
+ * @property {function(*): (boolean|string)} [validate] - Checks a new value. Return `true` if it is valid, or `false` or a message if not;
+ *   an invalid value is still used, but a warning is logged.
+ */
+
+/**
+ * Checks whether a prop type is a converter object.
+ * @param {*} type - The prop type.
+ * @returns {boolean} True if it has a `fromAttribute` function.
+ */
+const isConverter = (type) => Boolean(type) && typeof type === 'object' && typeof type.fromAttribute === 'function';
+
+/**
+ * Infers a prop type from a default value.
+ * @param {*} value - The default value.
+ * @returns {string} The prop type.
+ */
+const inferType = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (value !== null && typeof value === 'object') return 'object';
+  if (typeof value === 'number' || typeof value === 'boolean') return typeof value;
+  return 'string';
+};
+
+/**
+ * Normalizes a prop declaration to a `PropDefinition`. A declaration can be a type (a type name, a converter
+ * function or a converter object), a `PropDefinition` object (with the type inferred from `default` if it is missing),
+ * or any other value, which is used as the default and determines the type.
+ *
+ * @param {PropType|PropDefinition|*} declaration - The prop declaration.
+ * @returns {PropDefinition} The prop definition.
+ * @example
+ * normalizeProp('number');                   // { type: 'number' }
+ * normalizeProp('boolean');                  // { type: 'boolean', default: false }
+ * normalizeProp({ default: [] });            // { type: 'array', default: [] }
+ * normalizeProp(true);                       // { type: 'boolean', default: true }
+ */
+export const normalizeProp = (declaration) => {
+  let definition;
+  if (typeof declaration === 'string' || typeof declaration === 'function' || isConverter(declaration)) {
+    definition = { type: declaration };
+  } else if (declaration && typeof declaration === 'object' && !Array.isArray(declaration) && !(declaration instanceof Date)) {
+    definition = { ...declaration, type: declaration.type || inferType(declaration.default) };
+  } else {
+    definition = { type: inferType(declaration), default: declaration };
+  }
+
+  // An absent boolean attribute means false
+  if (definition.type === 'boolean' && definition.default === undefined) {
+    definition.default = false;
+  }
+  return definition;
+};
+
+/**
+ * Converts an attribute value to the given prop type. Values that are not strings (such as props passed
+ * to the server renderer) are converted too, and values that already have the type are returned as they are.
+ *
+ * @param {*} value - The attribute value.
+ * @param {PropType} [type='string'] - The prop type.
+ * @returns {*} The converted value.
+ * @throws {SyntaxError} If an `'object'`, `'array'` or `'json'` value is not valid JSON.
+ */
+export const convertAttributeValue = (value, type = 'string') => {
+  if (typeof type === 'function') {
+    return type(value);
+  }
+  if (isConverter(type)) {
+    return type.fromAttribute(value);
+  }
+
+  switch (type) {
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value !== null && value !== undefined && value !== false && value !== 'false';
+    case 'object':
+    case 'array':
+    case 'json':
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    case 'date':
+      return value instanceof Date ? value : new Date(value);
+    case 'string':
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Converts a prop value to an attribute string, the reverse of `convertAttributeValue`.
+ *
+ * @param {*} value - The prop value.
+ * @param {PropType} [type='string'] - The prop type.
+ * @returns {string|null} The attribute value, or `null` if the attribute should be removed.
+ */
+export const serializeAttributeValue = (value, type = 'string') => {
+  if (isConverter(type) && typeof type.toAttribute === 'function') {
+    return type.toAttribute(value);
+  }
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (type) {
+    case 'boolean':
+      return value ? '' : null;
+    case 'object':
+    case 'array':
+    case 'json':
+      return JSON.stringify(value);
+    case 'date':
+      return value instanceof Date && !isNaN(value.getTime()) ? value.toISOString() : null;
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Describes a value for a validation message.
+ * @param {*} value - The value.
+ * @returns {string} The description.
+ */
+const describe = (value) => (typeof value === 'number' || value instanceof Date ? String(value) : JSON.stringify(value));
+
+/**
+ * Checks a prop value against its type and its `validate` function.
+ *
+ * @param {*} value - The prop value.
+ * @param {PropDefinition} definition - The prop definition.
+ * @returns {string|null} A description of the problem, or `null` if the value is valid.
+ */
+export const validateProp = (value, definition) => {
+  if (value !== null && value !== undefined) {
+    const { type } = definition;
+    const invalid = (type === 'number' && (typeof value !== 'number' || isNaN(value))) ||
+      (type === 'boolean' && typeof value !== 'boolean') ||
+      (type === 'array' && !Array.isArray(value)) ||
+      (type === 'object' && (typeof value !== 'object' || Array.isArray(value))) ||
+      (type === 'date' && (!(value instanceof Date) || isNaN(value.getTime())));
+    if (invalid) {
+      const expected = type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`;
+      return `expected ${expected}, got ${describe(value)}`;
+    }
+  }
+
+  if (typeof definition.validate === 'function') {
+    const result = definition.validate(value);
+    if (result !== true && result !== undefined) {
+      return typeof result === 'string' ? result : `${describe(value)} did not pass validation`;
+    }
+  }
+
+  return null;
+};
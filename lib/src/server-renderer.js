@@ -3,6 +3,10 @@
  * @description Renders FeexVeb components to HTML strings on the server
  */
 
+import { classNames, styleToString } from './utils.js';
+import { sanitizeHtml } from './webjsx.js';
+import { normalizeProp, convertAttributeValue, serializeAttributeValue } from './props.js';
+
 /**
  * Server-side component registry
  */
@@ -17,6 +21,18 @@ export function registerServerComponent(tagName, componentDef) {
   serverComponents.set(tagName, componentDef);
 }
 
+/**
+ * Finds the declared attribute a component prop refers to, by its attribute name or its name without dashes
+ * (the same lookup `renderComponent` uses to read props).
+ * @param {Object} [attrs] - The component's attribute declarations.
+ * @param {string} key - The prop name.
+ * @returns {string|undefined} The attribute name, if the prop is declared.
+ */
+const declaredAttribute = (attrs, key) => {
+  if (!attrs) return undefined;
+  return Object.keys(attrs).find(attrName => attrName === key || attrName.replace(/-/g, '') === key);
+};
+
 /**
  * Create a server-side FeexVeb instance for SSR
  */
@@ -93,7 +109,7 @@ export const ServerFeexVeb = {
       // Apply attributes to state
       if (componentDef.attrs) {
         Object.keys(componentDef.attrs).forEach(attrName => {
-          const attrDef = componentDef.attrs[attrName];
+          const attrDef = normalizeProp(componentDef.attrs[attrName]);
           const propValue = props[attrName] || props[attrName.replace(/-/g, '')];
           
           if (propValue !== undefined) {
@@ -124,7 +140,7 @@ export const ServerFeexVeb = {
       const html = this.renderToString(vnode, context);
 
       // Wrap in custom element for client-side hydration
-      const attributes = this.serializeAttributes(props);
+      const attributes = this.serializeAttributes(props, componentDef.attrs);
       return `<${tagName}${attributes} data-ssr="true">${html}</${tagName}>`;
 
     } catch (error) {
@@ -143,9 +159,12 @@ export const ServerFeexVeb = {
    */
   renderHTMLElement(type, props, children, context) {
     const attributes = this.serializeAttributes(props);
-    const childrenHTML = children
-      .map(child => this.renderToString(child, context))
-      .join('');
+    // Raw markup replaces children, cleaned by the sanitizer configured with FeexVeb.setSanitizer
+    const childrenHTML = props && props.dangerouslySetInnerHTML
+      ? sanitizeHtml(props.dangerouslySetInnerHTML)
+      : children
+        .map(child => this.renderToString(child, context))
+        .join('');
 
     // Self-closing elements
     const selfClosing = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
@@ -160,21 +179,44 @@ export const ServerFeexVeb = {
   /**
    * Serialize props to HTML attributes
    * @param {Object} props - Properties object
+   * @param {Object} [attrs] - Attribute declarations of the component the props belong to; declared props are
+   *   written in the form the client converts back to their type (e.g. JSON for arrays)
    * @returns {string} - Attribute string
    */
-  serializeAttributes(props) {
+  serializeAttributes(props, attrs) {
     if (!props || typeof props !== 'object') {
       return '';
     }
 
     return Object.keys(props)
-      .filter(key => props[key] != null && key !== 'children')
+      .filter(key => props[key] != null && key !== 'children' && key !== 'dangerouslySetInnerHTML')
       .map(key => {
-        const value = props[key];
+        let value = props[key];
+        let name = key;
+
+        // Declared props are serialized for their type; strings are already in attribute form
+        const attrName = declaredAttribute(attrs, key);
+        if (attrName && typeof value !== 'string') {
+          const type = normalizeProp(attrs[attrName]).type;
+          value = serializeAttributeValue(value, type);
+          if (value === null) return '';
+          if (type === 'boolean') return ` ${attrName}`;
+          name = attrName;
+        }
+
+        // Handle class lists and style objects
+        if (key === 'class' || key === 'className') {
+          name = 'class';
+          value = classNames(value);
+          if (!value) return '';
+        } else if (key === 'style') {
+          value = styleToString(value);
+          if (!value) return '';
+        }
         
         // Handle boolean attributes
         if (typeof value === 'boolean') {
-          return value ? ` ${key}` : '';
+          return value ? ` ${name}` : '';
         }
         
         // Handle function attributes (skip for SSR)
@@ -190,27 +232,19 @@ export const ServerFeexVeb = {
           .replace(/</g, '&lt;')
           .replace(/>/g, '&gt;');
           
-        return ` ${key}="${escapedValue}"`;
+        return ` ${name}="${escapedValue}"`;
       })
       .join('');
   },
 
   /**
-   * Convert attribute value to the specified type
+   * Convert attribute value to the specified type, the same way client components convert their props
    * @param {any} value - Raw value
-   * @param {string} type - Target type
+   * @param {import('./props.js').PropType} type - Target type
    * @returns {any} - Converted value
    */
   convertAttributeValue(value, type) {
-    switch (type) {
-      case 'number':
-        return Number(value);
-      case 'boolean':
-        return value === 'true' || value === true;
-      case 'string':
-      default:
-        return String(value);
-    }
+    return convertAttributeValue(value, type);
   },
 
   /**
@@ -4,7 +4,146 @@
  * including reactive states, computed states, and side effects. Built on top of Maverick.js Signals.
  */
 
-import { signal, computed, effect, tick } from '@maverick-js/signals';
+import { signal, computed, effect, tick, untrack, onDispose } from '@maverick-js/signals';
+import { whileMounted } from './lifecycle.js';
+import { reportError } from './errors.js';
+
+/**
+ * Nesting depth of `batch` calls. While it is above zero, state writes do not flush effects.
+ * @type {number}
+ */
+let batchDepth = 0;
+
+/**
+ * Update jobs (such as component renders) waiting for the next flush. A Set, so that a job
+ * scheduled several times before the flush only runs once.
+ * @type {Set<Function>}
+ */
+const pendingJobs = new Set();
+
+/**
+ * Whether a microtask has been queued to flush `pendingJobs`.
+ * @type {boolean}
+ */
+let flushQueued = false;
+
+/**
+ * Runs all pending update jobs, including jobs scheduled while flushing.
+ * A job that throws is reported and does not stop the jobs after it.
+ */
+const flushJobs = () => {
+  flushQueued = false;
+  while (pendingJobs.size > 0) {
+    const jobs = Array.from(pendingJobs);
+    pendingJobs.clear();
+    jobs.forEach(job => {
+      try {
+        job();
+      } catch (error) {
+        reportError(error, { phase: 'update' });
+      }
+    });
+  }
+};
+
+/**
+ * Schedules an update job to run in a microtask. Scheduling the same job function again
+ * before it has run has no effect, so all state writes made within a task result in a single run.
+ * Components use this to coalesce their re-renders.
+ *
+ * @param {Function} job - The job to run.
+ */
+export const scheduleUpdate = (job) => {
+  pendingJobs.add(job);
+  if (!flushQueued) {
+    flushQueued = true;
+    queueMicrotask(flushJobs);
+  }
+};
+
+/**
+ * Groups several state writes so that subscribers and effects are notified once, after `fn` returns,
+ * instead of after every individual `set`. Batches can be nested; notifications are flushed when
+ * the outermost batch ends.
+ *
+ * @param {Function} fn - The function performing the state writes.
+ * @returns {*} The return value of `fn`.
+ * @example
+ * batch(() => {
+ *   firstName.set('Jane');
+ *   lastName.set('Smith');
+ * }); // Subscribers of both states are notified once, after both writes
+ */
+export const batch = (fn) => {
+  batchDepth++;
+  try {
+    return fn();
+  } finally {
+    if (--batchDepth === 0) {
+      tick();
+    }
+  }
+};
+
+/**
+ * Flushes all pending effects and scheduled update jobs (such as component re-renders) synchronously.
+ * Intended for tests and for code that must read the DOM right after changing state.
+ *
+ * @param {Function} [fn] - Optional function to run (as a batch) before flushing.
+ * @returns {*} The return value of `fn`, if given.
+ * @example
+ * flushSync(() => count.set(5));
+ * console.log(element.shadowRoot.textContent); // Already shows 5
+ */
+export const flushSync = (fn) => {
+  const result = typeof fn === 'function' ? batch(fn) : undefined;
+  tick();
+  flushJobs();
+  return result;
+};
+
+/**
+ * Compares two values shallowly: arrays by their items and plain objects by their own
+ * enumerable properties, each compared with `Object.is`. Other values are compared with `Object.is`.
+ * Use it as the `equals` option of `useState` and `useComputed` for derived lists and objects.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if the values are shallowly equal.
+ * @example
+ * const visible = useComputed(() => items.get().filter(item => item.visible), { equals: shallowEqual });
+ */
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((item, index) => Object.is(item, b[index]));
+  }
+  if (Array.isArray(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+};
+
+/**
+ * @typedef {Object} StateOptions
+ * @property {function(*, *): boolean|false} [equals] - Decides whether a new value equals the previous one
+ *   (`(previous, next) => boolean`). Equal values are not stored and nobody is notified. Defaults to `===`;
+ *   `false` notifies on every write, even of the same value.
+ */
+
+/**
+ * Converts the `equals` option into a Maverick `dirty` check (which returns true when the value changed).
+ * @param {StateOptions} [options] - The state options.
+ * @returns {Object|undefined} The signal options, or `undefined` for the default comparison.
+ */
+const signalOptions = (options) => {
+  if (!options || options.equals === undefined) return undefined;
+  const { equals } = options;
+  return { dirty: equals === false ? () => true : (previous, next) => !equals(previous, next) };
+};
 
 /**
  * @typedef {Object} StateObject
@@ -18,10 +157,14 @@ import { signal, computed, effect, tick } from '@maverick-js/signals';
  * all subscribed components or effects are notified.
  *
  * @param {*} initialValue - The initial value of the state.
+ * @param {StateOptions} [options] - Optional. `equals` decides when a new value counts as a change.
  * @returns {StateObject} An object with `get`, `set`, and `subscribe` methods to interact with the state.
+ * @example
+ * const filters = useState({ role: 'all' }, { equals: shallowEqual });
+ * filters.set({ role: 'all' }); // Equal contents: nobody is notified
  */
-export const useState = (initialValue) => {
-  const $signal = signal(initialValue);
+export const useState = (initialValue, options) => {
+  const $signal = signal(initialValue, signalOptions(options));
 
   return {
     /**
@@ -38,22 +181,21 @@ export const useState = (initialValue) => {
     set: (newValue) => {
       const actualNewValue = typeof newValue === 'function' ? newValue($signal()) : newValue;
       $signal.set(actualNewValue);
-      // Flush updates synchronously to maintain FeexVeb's immediate update behavior
-      tick();
+      // Notify subscribers synchronously, unless the write is part of a batch
+      if (batchDepth === 0) {
+        tick();
+      }
     },
 
     /**
-     * Subscribes to state changes.
+     * Subscribes to state changes. Called during a component's `setup`, the subscription is active while the component is mounted.
      * @param {function(*): void} callback - The function to call when the state changes. It receives the new state value.
      * @returns {function(): void} A function to unsubscribe the callback.
      */
-    subscribe: (callback) => {
-      const stopEffect = effect(() => {
-        const value = $signal();
-        callback(value);
-      });
-      return stopEffect;
-    }
+    subscribe: (callback) => whileMounted(() => effect(() => {
+      const value = $signal();
+      callback(value);
+    }))
   };
 };
 
@@ -66,18 +208,26 @@ export const useState = (initialValue) => {
 /**
  * Creates a computed state that derives its value from other state dependencies.
  * The computed value is automatically updated when any of its dependencies change.
+ * With an `equals` option, a recomputed value that equals the previous one is not propagated.
  *
  * @param {Function} computeFn - A function that calculates the value of the computed state. It receives no arguments.
- * @param {Array<StateObject|ComputedStateObject>} dependencies - An array of state objects (`useState` or `useComputed` results) that this computed state depends on.
+ * @param {Array<StateObject|ComputedStateObject>|StateOptions} [dependencies] - An array of state objects (`useState` or `useComputed` results)
+ *   that this computed state depends on, or the options when no dependencies are listed.
+ * @param {StateOptions} [options] - Optional. `equals` decides when a recomputed value counts as a change.
  * @returns {ComputedStateObject} An object with `get` and `subscribe` methods. Note: `set` is not available for computed states.
+ * @example
+ * const activeUsers = useComputed(() => users.get().filter(user => user.active), { equals: shallowEqual });
  */
-export const useComputed = (computeFn, _dependencies) => {
+export const useComputed = (computeFn, dependencies, options) => {
+  // The options may take the place of the (ignored) dependencies
+  const computedOptions = dependencies && !Array.isArray(dependencies) ? dependencies : options;
+
   // Create a computed signal that automatically tracks dependencies
   // Note: Maverick.js Signals automatically tracks dependencies, so the dependencies parameter is ignored
   const $computed = computed(() => {
     // Call the compute function which will automatically track any signals it reads
     return computeFn();
-  });
+  }, signalOptions(computedOptions));
 
   return {
     /**
@@ -87,57 +237,800 @@ export const useComputed = (computeFn, _dependencies) => {
     get: () => $computed(),
 
     /**
-     * Subscribes to computed state changes.
+     * Subscribes to computed state changes. Called during a component's `setup`, the subscription is active while the component is mounted.
      * @param {function(*): void} callback - The function to call when the computed state changes. It receives the new computed value.
      * @returns {function(): void} A function to unsubscribe the callback.
      */
-    subscribe: (callback) => {
-      const stopEffect = effect(() => {
-        const value = $computed();
-        callback(value);
-      });
-      return stopEffect;
-    }
+    subscribe: (callback) => whileMounted(() => effect(() => {
+      const value = $computed();
+      callback(value);
+    }))
   };
 };
 
 /**
- * Registers a side effect function to run after component render and when specified dependencies change.
+ * Starts an effect right away, tracking the given dependencies or, without them, every signal it reads.
+ *
+ * @param {Function} effectFn - The effect function. It can return a cleanup function.
+ * @param {Array<StateObject|ComputedStateObject|Function>} [dependencies] - The dependencies to track.
+ * @returns {Function} A function that stops the effect and runs its last cleanup.
+ */
+const startEffect = (effectFn, dependencies) => {
+  // Runs the effect function and hands its cleanup (if any) to Maverick.js
+  const run = () => {
+    const cleanup = effectFn();
+    return typeof cleanup === 'function' ? cleanup : undefined;
+  };
+
+  if (!Array.isArray(dependencies)) {
+    // Maverick.js tracks the signals read by the effect function itself
+    return effect(run);
+  }
+
+  // Only the listed dependencies are tracked; reads inside the effect function are not
+  return effect(() => {
+    dependencies.forEach(dependency => {
+      if (typeof dependency === 'function') {
+        dependency();
+      } else if (dependency && typeof dependency.get === 'function') {
+        dependency.get();
+      }
+    });
+    return untrack(run);
+  });
+};
+
+/**
+ * Registers a side effect function.
+ *
+ * Called during a component's `setup`, the effect is bound to that component: it first runs after
+ * the component's first render, once it is connected to the DOM, it is stopped (running its
+ * cleanup) when the component is disconnected, and it starts again when the component is connected again.
+ * It does not need to be returned in `effects`.
+ * Called anywhere else, the effect runs right away and lasts until the returned function is called.
  *
  * @param {Function} effectFn - The function to run as a side effect. This function can optionally
  * return a cleanup function. The cleanup function will be executed before the effect runs again
- * or when the component is unmounted/effect is re-run.
- * @param {Array<StateObject|ComputedStateObject>} dependencies - An array of state objects. The `effectFn` will re-run
- * only if any of these dependencies' values change. If an empty array `[]` is provided,
- * the effect runs once after the initial render and the cleanup runs on unmount.
- * If no array is provided (or `null`/`undefined`), the effect runs after every render.
- * @returns {Function} A cleanup function that, when called, will execute the last returned
- * cleanup logic from `effectFn` and remove all internal subscriptions for this effect. This is useful
- * for manual cleanup if the effect is managed outside a component lifecycle.
- */
-export const useEffect = (effectFn, dependencies) => {
-  if (Array.isArray(dependencies) && dependencies.length === 0) {
-    // Run once - no dependencies
-    const cleanup = effectFn();
+ * and when the effect is stopped.
+ * @param {Array<StateObject|ComputedStateObject|Function>} [dependencies] - An array of state objects
+ * (or getter functions). The `effectFn` will re-run only if any of these dependencies' values change;
+ * other states read by `effectFn` are not tracked. If an empty array `[]` is provided, the effect runs
+ * once. If no array is provided (or `null`/`undefined`), the effect re-runs whenever any state it reads changes.
+ * @returns {Function} A function that stops the effect and executes its last cleanup. This is useful
+ * for stopping an effect early, or for effects created outside a component.
+ */
+export const useEffect = (effectFn, dependencies) => whileMounted(() => startEffect(effectFn, dependencies));
+
+/**
+ * Name of the IndexedDB database (and BroadcastChannel) used by `usePersistentState`.
+ * @type {string}
+ */
+const PERSIST_DATABASE = 'feexveb';
+
+/**
+ * The database connection, opened on first use.
+ * @type {Promise<IDBDatabase>|null}
+ */
+let databasePromise = null;
+
+/**
+ * Opens the IndexedDB database that holds persisted states.
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(PERSIST_DATABASE, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore('state');
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Runs a request against the persisted state object store.
+ * @param {IDBTransactionMode} mode - The transaction mode.
+ * @param {function(IDBObjectStore): IDBRequest} run - Creates the request.
+ * @returns {Promise<*>} The request result.
+ */
+const databaseRequest = (mode, run) => openDatabase().then(database => new Promise((resolve, reject) => {
+  const request = run(database.transaction('state', mode).objectStore('state'));
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+}));
+
+/**
+ * An asynchronous, Storage-like interface to IndexedDB.
+ * @type {{getItem: Function, setItem: Function, removeItem: Function}}
+ */
+const indexedDBStorage = {
+  getItem: (key) => databaseRequest('readonly', store => store.get(key)).then(value => (value === undefined ? null : value)),
+  setItem: (key, value) => databaseRequest('readwrite', store => store.put(value, key)),
+  removeItem: (key) => databaseRequest('readwrite', store => store.delete(key))
+};
+
+/**
+ * Resolves the `storage` option of `usePersistentState` to a Storage-like object.
+ * Accessing `localStorage` can throw (e.g. when storage is disabled), in which case `null` is returned.
+ *
+ * @param {'local'|'session'|'indexedDB'|Object} storage - The storage option.
+ * @returns {Object|null} An object with `getItem`, `setItem` and `removeItem`, or `null` if unavailable.
+ */
+const resolveStorage = (storage) => {
+  try {
+    if (storage === 'indexedDB') {
+      return globalThis.indexedDB ? indexedDBStorage : null;
+    }
+    if (storage === 'local' || storage === 'session') {
+      return globalThis[`${storage}Storage`] || null;
+    }
+    return storage || null;
+  } catch (_error) {
+    return null;
+  }
+};
+
+/**
+ * @typedef {Object} PersistentStateOptions
+ * @property {'local'|'session'|'indexedDB'|Object} [storage='local'] - Where to persist: `localStorage`, `sessionStorage`,
+ *   IndexedDB, or any object with (sync or async) `getItem`, `setItem` and `removeItem` methods.
+ * @property {function(Object): string} [serialize=JSON.stringify] - Converts the stored record (`{ version, value }`) to a string.
+ * @property {function(string): Object} [deserialize=JSON.parse] - Converts a stored string back to a record.
+ * @property {number} [version=0] - The version of the value's shape. Stored values of another version are migrated or discarded.
+ * @property {function(*, number): *} [migrate] - Converts a stored value from an older version: `(value, storedVersion) => value`.
+ * @property {number} [debounce=100] - How long to wait, in milliseconds, after the last change before writing.
+ * @property {function(*, *): boolean|false} [equals] - See `StateOptions`.
+ */
+
+/**
+ * @typedef {StateObject} PersistentStateObject
+ * @property {Promise<void>} ready - Resolves once the stored value has been loaded (immediately for synchronous storages).
+ * @property {Function} flush - Writes a pending change right away.
+ * @property {Function} clear - Removes the stored value and resets the state to its initial value.
+ * @property {Function} dispose - Writes a pending change and stops listening for changes from other tabs.
+ */
+
+/**
+ * Creates a reactive state that survives reloads. It starts from the value stored under `key`
+ * (or `initialValue` if there is none), writes changes back after a short debounce, and
+ * follows changes made by other tabs: through the `storage` event for `localStorage`, and
+ * through a BroadcastChannel for IndexedDB.
+ *
+ * Values are stored together with `version`. A stored value of another version is passed to
+ * `migrate`, or discarded if there is no `migrate` function. Values that cannot be read or
+ * written (storage disabled, quota exceeded, invalid data) fall back to memory with a warning.
+ *
+ * @param {string} key - The storage key.
+ * @param {*} initialValue - The value to use when nothing is stored.
+ * @param {PersistentStateOptions} [options] - Optional. Storage, serialization and migration settings.
+ * @returns {PersistentStateObject} A state object with `get`, `set` and `subscribe`, plus `ready`, `flush`, `clear` and `dispose`.
+ * @example
+ * const todos = usePersistentState('todos', [], {
+ *   version: 2,
+ *   migrate: (value, storedVersion) => storedVersion < 2 ? value.map(text => ({ text, done: false })) : value
+ * });
+ */
+export const usePersistentState = (key, initialValue, options = {}) => {
+  const {
+    storage: storageOption = 'local',
+    serialize = JSON.stringify,
+    deserialize = JSON.parse,
+    version = 0,
+    migrate,
+    debounce = 100
+  } = options;
+
+  const storage = resolveStorage(storageOption);
+  const state = useState(initialValue, options);
+  const warn = (action, error) => console.warn(`Could not ${action} persisted state "${key}":`, error);
+
+  // Converts a stored string to a value of the current version, or returns null if it cannot be used
+  const readRecord = (raw) => {
+    if (raw === null || raw === undefined) return null;
+    try {
+      const record = deserialize(raw);
+      if (!record || typeof record !== 'object' || !('value' in record)) return null;
+      if (record.version === version) return { value: record.value, migrated: false };
+      return migrate ? { value: migrate(record.value, record.version), migrated: true } : null;
+    } catch (error) {
+      warn('read', error);
+      return null;
+    }
+  };
+
+  const channel = storage === indexedDBStorage && typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel(PERSIST_DATABASE)
+    : null;
+
+  let timer = null;
+  let changed = false;
+
+  const write = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!storage) return;
+    try {
+      Promise.resolve(storage.setItem(key, serialize({ version, value: state.get() })))
+        .then(() => channel && channel.postMessage(key))
+        .catch(error => warn('write', error));
+    } catch (error) {
+      warn('write', error);
+    }
+  };
+
+  const scheduleWrite = () => {
+    changed = true;
+    clearTimeout(timer);
+    timer = setTimeout(write, debounce);
+  };
+
+  // Applies a value read from storage; migrated values are stored again in the current version
+  const load = (raw) => {
+    const record = readRecord(raw);
+    state.set(() => (record ? record.value : initialValue));
+    if (record && record.migrated) {
+      scheduleWrite();
+    }
+  };
+
+  let ready = Promise.resolve();
+  if (storage) {
+    try {
+      const raw = storage.getItem(key);
+      if (raw && typeof raw.then === 'function') {
+        // Asynchronous storage: a change made before the stored value arrives wins over it
+        ready = raw.then(value => {
+          if (!changed && value !== null) load(value);
+        }, error => warn('read', error));
+      } else if (raw !== null) {
+        load(raw);
+      }
+    } catch (error) {
+      warn('read', error);
+    }
+  }
+
+  // Follow writes made by other tabs
+  const onStorage = (event) => {
+    if (event.key === key && event.storageArea === storage) {
+      load(event.newValue);
+    }
+  };
+  const onMessage = (event) => {
+    if (event.data === key) {
+      Promise.resolve(storage.getItem(key)).then(load, error => warn('read', error));
+    }
+  };
+  const onPageHide = () => {
+    if (timer) write();
+  };
+
+  // Created during a component's setup, it listens while the component is mounted, and writes
+  // a pending change when it is disconnected
+  const stopListening = whileMounted(() => {
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', onStorage);
+      window.addEventListener('pagehide', onPageHide);
+    }
+    if (channel) {
+      channel.addEventListener('message', onMessage);
+    }
     return () => {
-      if (typeof cleanup === 'function') {
-        cleanup();
+      if (timer) write();
+      if (typeof window !== 'undefined' && window.removeEventListener) {
+        window.removeEventListener('storage', onStorage);
+        window.removeEventListener('pagehide', onPageHide);
+      }
+      if (channel) {
+        channel.removeEventListener('message', onMessage);
       }
     };
+  });
+
+  const dispose = () => {
+    stopListening();
+    if (channel) {
+      channel.close();
+    }
+  };
+
+  // Created in a Maverick.js scope outside of a component, it stops with the scope
+  onDispose(dispose);
+
+  return {
+    get: state.get,
+
+    set: (newValue) => {
+      state.set(newValue);
+      scheduleWrite();
+    },
+
+    subscribe: state.subscribe,
+
+    ready,
+
+    flush: () => {
+      if (timer) write();
+    },
+
+    clear: () => {
+      clearTimeout(timer);
+      timer = null;
+      state.set(() => initialValue);
+      if (!storage) return;
+      try {
+        Promise.resolve(storage.removeItem(key))
+          .then(() => channel && channel.postMessage(key))
+          .catch(error => warn('clear', error));
+      } catch (error) {
+        warn('clear', error);
+      }
+    },
+
+    dispose
+  };
+};
+
+/**
+ * Resources read while `collectResources` is running, or `null` when reads are not being collected.
+ * @type {Set<ResourceObject>|null}
+ */
+let resourceReads = null;
+
+/**
+ * Runs a function and collects the resources whose value it read. `Suspense` uses this
+ * to find out whether the content it renders is still waiting for data.
+ *
+ * @param {Function} fn - The function to run.
+ * @returns {{result: *, resources: Set<ResourceObject>}} The return value of `fn` and the resources it read.
+ */
+export const collectResources = (fn) => {
+  const previousReads = resourceReads;
+  const resources = new Set();
+  resourceReads = resources;
+  try {
+    return { result: fn(), resources };
+  } finally {
+    resourceReads = previousReads;
   }
+};
 
-  // Use Maverick.js effect which automatically tracks dependencies
-  // Note: dependencies parameter is ignored as Maverick.js automatically tracks signal reads
-  const stopEffect = effect(() => {
-    const cleanup = effectFn();
+/**
+ * @typedef {Object} ResourceObject
+ * @property {Function} get - Returns the last loaded data (`undefined` until the first load completes).
+ * @property {Function} subscribe - Registers a callback to be executed whenever the data, loading or error state changes. Returns an unsubscribe function.
+ * @property {ComputedStateObject} loading - Whether a request is in flight.
+ * @property {ComputedStateObject} error - The error of the last request, or `null`.
+ * @property {Function} refetch - Fetches again with the current source value. Returns a promise of the data.
+ * @property {Function} mutate - Sets the data directly (a value, or a function of the previous data), e.g. for optimistic updates.
+ * @property {Function} dispose - Stops following the source and aborts the request in flight.
+ */
+
+/**
+ * Creates a resource: data loaded asynchronously by `fetcher`, with its loading and error
+ * states tracked as signals.
+ *
+ * Without a `source`, the fetcher runs once immediately. With a `source` (a state object or
+ * a getter function reading states), it runs whenever the source value changes; `null`,
+ * `undefined` and `false` mean "nothing to load" and skip the request. Starting a request
+ * aborts the previous one through its `AbortSignal`, and results of stale requests are
+ * ignored even if the fetcher does not observe the signal. Created during a component's `setup`,
+ * the resource follows the source while the component is mounted, and a disconnection aborts the request in flight.
+ *
+ * @param {function(*, {signal: AbortSignal, refetching: boolean}): (Promise<*>|*)} fetcher - Loads the data for a source value.
+ * @param {StateObject|ComputedStateObject|Function} [source] - What to load; the fetcher re-runs when it changes.
+ * @returns {ResourceObject} The resource.
+ * @example
+ * const userId = useState(1);
+ * const user = useResource(async (id, { signal }) => {
+ *   const response = await fetch(`/api/users/${id}`, { signal });
+ *   return response.json();
+ * }, userId);
+ *
+ * user.loading.get(); // true while the request is in flight
+ * userId.set(2);      // Aborts the first request and loads user 2
+ */
+export const useResource = (fetcher, source) => {
+  const $data = signal(undefined);
+  const $loading = signal(false);
+  const $error = signal(null);
+
+  let controller = null;
+  let sourceValue;
+
+  const load = (value, refetching) => {
+    if (controller) {
+      controller.abort();
+      controller = null;
+    }
+
+    if (source !== undefined && (value === null || value === undefined || value === false)) {
+      batch(() => $loading.set(false));
+      return Promise.resolve($data());
+    }
+
+    const current = new AbortController();
+    controller = current;
+    batch(() => {
+      $loading.set(true);
+      $error.set(null);
+    });
+
+    return new Promise(resolve => resolve(fetcher(value, { signal: current.signal, refetching })))
+      .then(
+        (data) => {
+          if (controller === current) {
+            controller = null;
+            batch(() => {
+              $data.set(() => data);
+              $loading.set(false);
+            });
+          }
+          return data;
+        },
+        (error) => {
+          if (controller === current) {
+            controller = null;
+            batch(() => {
+              $error.set(error);
+              $loading.set(false);
+            });
+          }
+          return undefined;
+        }
+      );
+  };
+
+  const abort = () => {
+    if (controller) {
+      controller.abort();
+      controller = null;
+      batch(() => $loading.set(false));
+      return true;
+    }
+    return false;
+  };
 
-    // Return cleanup function to be called when effect re-runs or is disposed
+  // Follow the source; its changes (and only its changes) start a new request. The first request
+  // starts right away. Created during a component's setup, the resource follows the source while the
+  // component is mounted: a disconnection aborts the request in flight, and the next connection loads
+  // again if the source has changed or a request was aborted
+  const readSource = source === undefined ? () => undefined : (typeof source === 'function' ? source : source.get);
+  let loaded = false;
+  const follow = (value) => {
+    if (loaded && value === sourceValue) return;
+    loaded = true;
+    sourceValue = value;
+    untrack(() => load(value, false));
+  };
+  follow(untrack(readSource));
+
+  const stopSource = whileMounted(() => {
+    const stopEffect = effect(() => follow(readSource()));
     return () => {
-      if (typeof cleanup === 'function') {
-        cleanup();
+      stopEffect();
+      if (abort()) {
+        loaded = false;
       }
     };
   });
 
-  return stopEffect;
+  const resource = {
+    get: () => {
+      if (resourceReads) {
+        resourceReads.add(resource);
+      }
+      return $data();
+    },
+
+    subscribe: (callback) => whileMounted(() => effect(() => {
+      $loading();
+      $error();
+      callback($data());
+    })),
+
+    loading: {
+      get: () => $loading(),
+      subscribe: (callback) => whileMounted(() => effect(() => callback($loading())))
+    },
+
+    error: {
+      get: () => $error(),
+      subscribe: (callback) => whileMounted(() => effect(() => callback($error())))
+    },
+
+    refetch: () => load(sourceValue, true),
+
+    mutate: (value) => {
+      $data.set(value);
+      if (batchDepth === 0) {
+        tick();
+      }
+    },
+
+    dispose: () => {
+      stopSource();
+      abort();
+    }
+  };
+
+  // Created in a Maverick.js scope outside of a component, it stops (aborting a request in flight) with the scope
+  onDispose(resource.dispose);
+
+  return resource;
+};
+
+/**
+ * Per-property signals of the objects inside stores, created the first time a property is read.
+ * The `STORE_KEYS` entry tracks the object's set of keys.
+ * @type {WeakMap<Object, Map<string|symbol, Function>>}
+ */
+const storeSignals = new WeakMap();
+
+/**
+ * Key of the signal that is notified when properties are added to or removed from a store object.
+ * @type {symbol}
+ */
+const STORE_KEYS = Symbol('store.keys');
+
+/**
+ * Property that returns the plain object behind a store or draft proxy.
+ * @type {symbol}
+ */
+const STORE_RAW = Symbol('store.raw');
+
+/**
+ * Read-only reactive proxies of store objects, so that each object has a single proxy.
+ * @type {WeakMap<Object, Proxy>}
+ */
+const storeProxies = new WeakMap();
+
+/**
+ * Checks whether a value is a plain object or array, i.e. something a store wraps in a proxy.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects and arrays.
+ */
+const isStorable = (value) => {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return Array.isArray(value) || proto === Object.prototype || proto === null;
+};
+
+/**
+ * Returns the plain object behind a store or draft proxy, or the value itself.
+ * @param {*} value - A proxy or any other value.
+ * @returns {*} The unwrapped value.
+ */
+const unwrapStoreValue = (value) => (value && value[STORE_RAW]) || value;
+
+/**
+ * Returns the signal of a store object's property, creating it on first use.
+ * @param {Object} target - The store object.
+ * @param {string|symbol} key - The property name, or `STORE_KEYS`.
+ * @returns {Function} The signal.
+ */
+const storeSignal = (target, key) => {
+  let signals = storeSignals.get(target);
+  if (!signals) {
+    signals = new Map();
+    storeSignals.set(target, signals);
+  }
+  let $signal = signals.get(key);
+  if (!$signal) {
+    // Created outside the current scope: signals are created lazily by the first reader, and must
+    // not be disposed with it. The keys signal has no value of its own; every write to it notifies.
+    $signal = untrack(() => (key === STORE_KEYS ? signal(0, { dirty: () => true }) : signal(target[key])));
+    signals.set(key, $signal);
+  }
+  return $signal;
+};
+
+/**
+ * Writes (or, for `undefined`, deletes) a store object's property and notifies the signals
+ * of the property, of the object's keys and, for arrays, of `length` as needed.
+ * @param {Object} target - The store object.
+ * @param {string|symbol} key - The property name.
+ * @param {*} value - The new value.
+ */
+const writeStoreProperty = (target, key, value) => {
+  const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+  const previousLength = Array.isArray(target) ? target.length : undefined;
+  const nextValue = unwrapStoreValue(value);
+
+  if (nextValue === undefined && !Array.isArray(target)) {
+    delete target[key];
+  } else {
+    target[key] = nextValue;
+  }
+
+  const signals = storeSignals.get(target);
+  if (!signals) return;
+
+  if (signals.has(key)) {
+    signals.get(key).set(() => target[key]);
+  }
+  if (hadKey !== Object.prototype.hasOwnProperty.call(target, key) && signals.has(STORE_KEYS)) {
+    signals.get(STORE_KEYS).set(0);
+  }
+  if (previousLength !== undefined && previousLength !== target.length) {
+    if (signals.has('length')) {
+      signals.get('length').set(target.length);
+    }
+    if (signals.has(STORE_KEYS)) {
+      signals.get(STORE_KEYS).set(0);
+    }
+  }
+};
+
+/**
+ * Proxy handler for reading store objects: every property read is tracked by its own signal,
+ * and nested objects are wrapped too. Writes must go through `store.set` or `produce`.
+ * @type {ProxyHandler}
+ */
+const storeHandler = {
+  get(target, key) {
+    if (key === STORE_RAW) return target;
+    const value = target[key];
+    // Symbols and inherited methods (`map`, `filter`, ...) are not tracked themselves
+    if (typeof key === 'symbol' || (typeof value === 'function' && !Object.prototype.hasOwnProperty.call(target, key))) {
+      return value;
+    }
+    storeSignal(target, key)();
+    return isStorable(value) ? wrapStore(value) : value;
+  },
+
+  has(target, key) {
+    storeSignal(target, key)();
+    return key in target;
+  },
+
+  ownKeys(target) {
+    storeSignal(target, STORE_KEYS)();
+    return Reflect.ownKeys(target);
+  },
+
+  set(_target, key) {
+    throw new Error(`Cannot set "${String(key)}": store state is read-only. Use store.set() or produce().`);
+  },
+
+  deleteProperty(_target, key) {
+    throw new Error(`Cannot delete "${String(key)}": store state is read-only. Use store.set() or produce().`);
+  }
+};
+
+/**
+ * Returns the read-only reactive proxy of a store object.
+ * @param {Object} target - The store object.
+ * @returns {Proxy} The proxy.
+ */
+const wrapStore = (target) => {
+  let proxy = storeProxies.get(target);
+  if (!proxy) {
+    proxy = new Proxy(target, storeHandler);
+    storeProxies.set(target, proxy);
+  }
+  return proxy;
+};
+
+/**
+ * Proxy handler for `produce` drafts: reads are not tracked, and writes go through
+ * `writeStoreProperty` so that only the signals of the changed properties are notified.
+ * @type {ProxyHandler}
+ */
+const draftHandler = {
+  get(target, key) {
+    if (key === STORE_RAW) return target;
+    const value = target[key];
+    return isStorable(value) ? new Proxy(value, draftHandler) : value;
+  },
+
+  set(target, key, value) {
+    writeStoreProperty(target, key, value);
+    return true;
+  },
+
+  deleteProperty(target, key) {
+    writeStoreProperty(target, key, undefined);
+    return true;
+  }
+};
+
+/**
+ * Creates an updater for `store.set` that mutates a draft of the current value in place,
+ * instead of building a new value. Only the properties actually written notify their readers.
+ *
+ * @param {function(Object): void} recipe - Mutates the draft.
+ * @returns {function(Object): Object} The updater.
+ * @example
+ * store.set('todos', produce(todos => {
+ *   todos.push({ text: 'New', done: false });
+ *   todos[0].done = true;
+ * }));
+ */
+export const produce = (recipe) => (value) => {
+  if (isStorable(value)) {
+    recipe(new Proxy(value, draftHandler));
+  }
+  return value;
+};
+
+/**
+ * @typedef {Object} StoreObject
+ * @property {Object} state - The read-only reactive proxy of the store's data. Reading a property tracks only that property.
+ * @property {Function} get - Returns `state`.
+ * @property {Function} set - Updates the value at a path: `set(...path, value)`. See `createStore`.
+ * @property {Function} subscribe - Registers a callback to be executed whenever anything in the store changes. Called during a component's `setup`, it is active while the component is mounted. Returns an unsubscribe function.
+ */
+
+/**
+ * Creates a store: a nested object whose properties are tracked individually. Effects,
+ * computed states and component renders that read `store.state.todos[0].done` are only
+ * notified when that property (or one of the objects on its path) changes, and nested
+ * objects can be updated in place without cloning.
+ *
+ * `set(...path, value)` replaces the value at the path. `value` may be a function receiving
+ * the current value, such as a `produce` updater. Without a path, the keys of the given object
+ * are merged into the root.
+ *
+ * @param {Object} [initialValue={}] - The initial data. The store takes ownership of it.
+ * @returns {StoreObject} The store.
+ * @example
+ * const store = createStore({ todos: [{ text: 'Learn FeexVeb', done: false }], filter: 'all' });
+ *
+ * store.state.todos[0].done;             // Tracks `todos`, `0` and `done`
+ * store.set('todos', 0, 'done', true);   // Notifies readers of `done` only
+ * store.set('todos', todos => [...todos, { text: 'Ship', done: false }]);
+ * store.set({ filter: 'active' });       // Merges into the root
+ */
+export const createStore = (initialValue = {}) => {
+  const data = unwrapStoreValue(initialValue);
+  const state = wrapStore(data);
+
+  const set = (...args) => {
+    const path = args.slice(0, -1);
+    let value = args[args.length - 1];
+
+    batch(() => {
+      if (path.length === 0) {
+        const next = typeof value === 'function' ? value(data) : value;
+        if (next !== data && next) {
+          Object.entries(unwrapStoreValue(next)).forEach(([key, item]) => writeStoreProperty(data, key, item));
+        }
+        return;
+      }
+
+      let target = data;
+      for (const key of path.slice(0, -1)) {
+        target = target[key];
+        if (!isStorable(target)) {
+          throw new Error(`Cannot set store path "${path.join('.')}": "${String(key)}" is not an object.`);
+        }
+      }
+
+      const key = path[path.length - 1];
+      if (typeof value === 'function') {
+        value = value(target[key]);
+      }
+      writeStoreProperty(target, key, value);
+    });
+  };
+
+  // Reads every property, so that `subscribe` is notified of changes anywhere in the store
+  const trackAll = (value) => {
+    if (value && typeof value === 'object') {
+      Object.keys(value).forEach(key => trackAll(value[key]));
+    }
+  };
+
+  return {
+    state,
+    get: () => state,
+    set,
+    subscribe: (callback) => whileMounted(() => effect(() => {
+      trackAll(state);
+      callback(state);
+    }))
+  };
 };
@@ -38,3 +38,65 @@ export const numAttr = (element, name, defaultValue = 0) => {
   const num = Number(value);
   return isNaN(num) ? defaultValue : num;
 };
+
+/**
+ * Builds a class string from a string, an array or an object of class names.
+ * Arrays are flattened recursively, object keys are included when their value is truthy,
+ * and falsy entries are skipped.
+ *
+ * @param {string|Array|Object|null|undefined|boolean} value - The class value.
+ * @returns {string} A space-separated class string.
+ * @example
+ * // returns 'btn active'
+ * classNames(['btn', { active: true, disabled: false }, null]);
+ */
+export const classNames = (value) => {
+  if (!value) {
+    return '';
+  }
+  if (typeof value === 'string' || typeof value === 'number') {
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(classNames).filter(Boolean).join(' ');
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).filter(key => value[key]).join(' ');
+  }
+  return '';
+};
+
+/**
+ * Converts a style property name to its CSS form. camelCased names are dash-cased,
+ * while CSS custom properties (`--mono-bg`) and already dash-cased names are kept as they are.
+ *
+ * @param {string} name - The style property name (e.g., 'backgroundColor').
+ * @returns {string} The CSS property name (e.g., 'background-color').
+ */
+export const cssPropertyName = (name) => {
+  if (name.startsWith('--')) {
+    return name;
+  }
+  return name.replace(/[A-Z]/g, (match) => `-${match.toLowerCase()}`);
+};
+
+/**
+ * Serializes a style object into a CSS declaration string.
+ * Entries whose value is `null`, `undefined` or `false` are skipped; other values are used as they are,
+ * so lengths need their unit (`{ width: '10px' }`).
+ *
+ * @param {string|Object|null|undefined} style - A style object or an already serialized string.
+ * @returns {string} The CSS declarations (e.g., 'color: red; --mono-bg: #fff').
+ */
+export const styleToString = (style) => {
+  if (!style) {
+    return '';
+  }
+  if (typeof style !== 'object') {
+    return String(style);
+  }
+  return Object.entries(style)
+    .filter(([, value]) => value !== null && value !== undefined && value !== false)
+    .map(([name, value]) => `${cssPropertyName(name)}: ${value}`)
+    .join('; ');
+};
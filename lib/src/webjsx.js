@@ -5,6 +5,10 @@
  */
 
 import { jsx, jsxs, Fragment } from 'mono-jsx/jsx-runtime';
+import { effect, root, untrack } from '@maverick-js/signals';
+import { classNames, cssPropertyName, styleToString } from './utils.js';
+import { reportError } from './errors.js';
+import { collectResources } from './state.js';
 
 /**
  * @typedef {Object} VNode
@@ -23,8 +27,10 @@ import { jsx, jsxs, Fragment } from 'mono-jsx/jsx-runtime';
  * @returns {VNode} A virtual DOM node object.
  */
 export const createElement = (type, props, ...children) => {
-  // Flatten children and filter out null/undefined
-  const flatChildren = children.flat().filter(child => child !== null && child !== undefined);
+  // Flatten children (VNodes are arrays themselves, so they must not be spread) and filter out null/undefined
+  const flatChildren = children
+    .flatMap(child => (Array.isArray(child) && !isVNode(child) ? child : [child]))
+    .filter(child => child !== null && child !== undefined);
 
   // Use mono-jsx's jsx function for single child or jsxs for multiple children
   if (flatChildren.length === 0) {
@@ -45,69 +51,1101 @@ export const createElement = (type, props, ...children) => {
 export { Fragment };
 
 /**
- * Creates a real DOM node from a mono-jsx virtual DOM node.
- * This function handles the conversion from mono-jsx's VNode structure to actual DOM elements.
+ * Remembers the VNode each rendered DOM node was created from, so that `applyDiff`
+ * can compare the previous tree against the next one without keeping a separate copy.
+ * @type {WeakMap<Node, VNode|string|number|null>}
+ */
+const renderedVNodes = new WeakMap();
+
+/**
+ * Checks whether a value is a mono-jsx VNode (`[tag, props, symbol]`).
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a VNode.
+ */
+const isVNode = (value) => Array.isArray(value) && value.length === 3 && typeof value[2] === 'symbol';
+
+/**
+ * Returns the `key` prop of a VNode, if any.
+ * @param {*} vnode - The virtual node.
+ * @returns {*} The key, or `undefined` for unkeyed nodes and primitives.
+ */
+const getKey = (vnode) => {
+  if (isVNode(vnode) && vnode[1] && vnode[1].key !== null && vnode[1].key !== undefined) {
+    return vnode[1].key;
+  }
+  return undefined;
+};
+
+/**
+ * Calls a function component with its props (including `children`) and returns what it rendered.
+ * A `key` given to the component is carried over to the single VNode it returns,
+ * so keyed lists of components keep their DOM identity.
+ *
+ * @param {VNode} vnode - A VNode whose type is a function.
+ * @returns {*} The rendered output (a VNode, primitive, array or null).
+ */
+const renderFunctionComponent = (vnode) => {
+  const [component, props] = vnode;
+  const rendered = component(props || {});
+  const key = getKey(vnode);
+
+  if (key !== undefined && isVNode(rendered) && getKey(rendered) === undefined) {
+    return [rendered[0], { ...rendered[1], key }, rendered[2]];
+  }
+  return rendered;
+};
+
+/**
+ * Flattens a children value into a flat list of renderable items.
+ * Arrays and Fragments are inlined and function components are rendered in place;
+ * `null`, `undefined` and booleans are kept as `null` so that conditional children
+ * (`cond && <x />`) hold a stable placeholder position.
+ *
+ * @param {*} children - A single child, or a (possibly nested) array of children.
+ * @param {Array} [result=[]] - The accumulator.
+ * @returns {Array<VNode|string|number|null>} The flattened children.
+ */
+const normalizeChildren = (children, result = []) => {
+  if (Array.isArray(children) && !isVNode(children)) {
+    children.forEach(child => normalizeChildren(child, result));
+  } else if (isVNode(children) && children[0] === Fragment) {
+    result.push(...getChildren(children[1]));
+  } else if (isVNode(children) && typeof children[0] === 'function' && children[0] !== Portal) {
+    normalizeChildren(renderFunctionComponent(children), result);
+  } else if (children === null || children === undefined || typeof children === 'boolean') {
+    result.push(null);
+  } else {
+    result.push(children);
+  }
+  return result;
+};
+
+/**
+ * Returns the normalized children of a VNode's props. A missing `children` prop yields no children.
+ * @param {Object} [props] - The VNode props.
+ * @returns {Array<VNode|string|number|null>} The flattened children.
+ */
+const getChildren = (props) => {
+  return props && props.children !== undefined ? normalizeChildren(props.children) : [];
+};
+
+/**
+ * Resolves the children of a control-flow component. A render function passed as the only
+ * child is called with the given arguments; any other children are returned as they are.
+ * @param {*} children - The `children` prop.
+ * @param {...*} args - Arguments for a render-function child.
+ * @returns {*} The children to render.
+ */
+const resolveChildren = (children, ...args) => {
+  const child = Array.isArray(children) && !isVNode(children) && children.length === 1 ? children[0] : children;
+  return typeof child === 'function' ? child(...args) : children;
+};
+
+/**
+ * Renders its children when `when` is truthy, and `fallback` otherwise.
+ * A render function child receives the `when` value.
+ *
+ * @example
+ * <Show when={user} fallback={<p>Signed out</p>}>
+ *   {(user) => <p>Hello, {user.name}</p>}
+ * </Show>
+ *
+ * @param {Object} props - The component props.
+ * @param {*} props.when - The condition.
+ * @param {*} [props.fallback=null] - What to render when the condition is falsy.
+ * @param {*} [props.children] - What to render when the condition is truthy.
+ * @returns {*} The rendered children or the fallback.
+ */
+export const Show = ({ when, fallback = null, children }) => {
+  return when ? resolveChildren(children, when) : fallback;
+};
+
+/**
+ * Renders a list from an array using a render function child `(item, index) => VNode`.
+ * With a `key` (a property name or a function `(item, index) => key`) every rendered item
+ * is keyed, so reordering, inserting or removing items moves the existing DOM nodes
+ * instead of recreating them. `fallback` is rendered when the list is empty.
+ *
+ * @example
+ * <For each={todos} key="id" fallback={<p>Nothing to do</p>}>
+ *   {(todo) => <li>{todo.text}</li>}
+ * </For>
+ *
+ * @param {Object} props - The component props.
+ * @param {Array} [props.each] - The items to render.
+ * @param {string|Function} [props.key] - The item key property, or a function returning the key.
+ * @param {*} [props.fallback=null] - What to render when there are no items.
+ * @param {Function} props.children - The render function for each item.
+ * @returns {Array|*} The rendered items or the fallback.
+ */
+export const For = ({ each, key, fallback = null, children }) => {
+  if (!each || each.length === 0) {
+    return fallback;
+  }
+
+  const keyOf = typeof key === 'function' ? key : key !== undefined ? (item) => item[key] : null;
+
+  return Array.from(each, (item, index) => {
+    const rendered = resolveChildren(children, item, index);
+    if (keyOf && isVNode(rendered) && getKey(rendered) === undefined) {
+      return [rendered[0], { ...rendered[1], key: keyOf(item, index) }, rendered[2]];
+    }
+    return rendered;
+  });
+};
+
+/**
+ * A branch of a `Switch`. Outside of a `Switch` it behaves like `Show` without a fallback.
+ *
+ * @param {Object} props - The component props.
+ * @param {*} props.when - The condition for this branch.
+ * @param {*} [props.children] - What to render when the branch is chosen.
+ * @returns {*} The rendered children, or null.
+ */
+export const Match = ({ when, children }) => {
+  return when ? resolveChildren(children, when) : null;
+};
+
+/**
+ * Renders the first `Match` child whose `when` is truthy, or `fallback` when none is.
+ *
+ * @example
+ * <Switch fallback={<p>Idle</p>}>
+ *   <Match when={loading}><Spinner /></Match>
+ *   <Match when={error}>{(error) => <p>{error.message}</p>}</Match>
+ * </Switch>
+ *
+ * @param {Object} props - The component props.
+ * @param {*} [props.fallback=null] - What to render when no branch matches.
+ * @param {*} [props.children] - The `Match` branches.
+ * @returns {*} The children of the matching branch, or the fallback.
+ */
+export const Switch = ({ fallback = null, children }) => {
+  const find = (child) => {
+    if (Array.isArray(child) && !isVNode(child)) {
+      for (const item of child) {
+        const found = find(item);
+        if (found) return found;
+      }
+      return null;
+    }
+    return isVNode(child) && child[0] === Match && child[1].when ? child : null;
+  };
+
+  const match = find(children);
+  return match ? Match(match[1]) : fallback;
+};
+
+/**
+ * Props that mirror live DOM state. They are always written as properties and compared
+ * against the element's current value on every patch, so controlled inputs stay in sync
+ * with state even after the user has edited them.
+ * @type {Set<string>}
+ */
+const LIVE_PROPERTIES = new Set(['value', 'checked', 'selected', 'indeterminate', 'muted']);
+
+/**
+ * Writes a value as a DOM property, skipping the write when the element already holds it.
+ * @param {HTMLElement} element - The element to update.
+ * @param {string} name - The property name.
+ * @param {*} value - The new value.
+ */
+const setProperty = (element, name, value) => {
+  if (name === 'value') {
+    const stringValue = value === null || value === undefined ? '' : String(value);
+    if (element.value !== stringValue) {
+      element.value = stringValue;
+    }
+  } else if (element[name] !== value) {
+    element[name] = value;
+  }
+};
+
+/**
+ * Element namespaces. HTML elements use `null` and are created with `document.createElement`.
+ */
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+/**
+ * Namespaces of prefixed attributes such as `xlink:href` and `xml:lang`.
+ * @type {Object<string, string>}
+ */
+const ATTRIBUTE_NAMESPACES = {
+  xlink: 'http://www.w3.org/1999/xlink',
+  xml: 'http://www.w3.org/XML/1998/namespace'
+};
+
+/**
+ * Returns the namespace of an element, given its tag and the namespace of its parent.
+ * `<svg>` and `<math>` open their own namespace; everything else inherits it.
+ *
+ * @param {string} tag - The element's tag name.
+ * @param {string|null} parentNamespace - The namespace its children are created in.
+ * @returns {string|null} The element's namespace, or `null` for HTML.
+ */
+const elementNamespace = (tag, parentNamespace) => {
+  if (tag === 'svg') return SVG_NAMESPACE;
+  if (tag === 'math') return MATHML_NAMESPACE;
+  return parentNamespace;
+};
+
+/**
+ * Returns the namespace in which an element's children are created.
+ * `<foreignObject>` switches back to HTML inside SVG.
+ *
+ * @param {string} tag - The element's tag name.
+ * @param {string|null} namespace - The element's own namespace.
+ * @returns {string|null} The namespace of its children.
+ */
+const childNamespace = (tag, namespace) => {
+  if (namespace === SVG_NAMESPACE && tag === 'foreignObject') return null;
+  return namespace;
+};
+
+/**
+ * Returns the namespace in which the children of an existing DOM node are created.
+ * @param {Node} node - An element, shadow root or document fragment.
+ * @returns {string|null} The namespace of its children.
+ */
+const namespaceOf = (node) => {
+  if (node.nodeType !== Node.ELEMENT_NODE || node.namespaceURI === 'http://www.w3.org/1999/xhtml') {
+    return null;
+  }
+  return childNamespace(node.localName, node.namespaceURI);
+};
+
+/**
+ * Writes a value as an HTML attribute. `null`, `undefined` and `false` remove the attribute,
+ * `true` sets it as an empty boolean attribute. Prefixed names such as `xlink:href` are
+ * written in their namespace. Names keep their case, so SVG attributes like `viewBox` work.
+ * @param {HTMLElement} element - The element to update.
+ * @param {string} name - The attribute name.
+ * @param {*} value - The new value.
+ */
+const setAttribute = (element, name, value) => {
+  const prefix = name.includes(':') ? name.substring(0, name.indexOf(':')) : null;
+  const namespace = prefix ? ATTRIBUTE_NAMESPACES[prefix] : undefined;
+
+  if (value === null || value === undefined || value === false) {
+    if (namespace) {
+      element.removeAttributeNS(namespace, name.substring(prefix.length + 1));
+    } else {
+      element.removeAttribute(name);
+    }
+  } else if (namespace) {
+    element.setAttributeNS(namespace, name, value === true ? '' : String(value));
+  } else if (value === true) {
+    element.setAttribute(name, '');
+  } else {
+    element.setAttribute(name, String(value));
+  }
+};
+
+/**
+ * The sanitizer applied to `dangerouslySetInnerHTML` markup, if one is configured.
+ * @type {((html: string) => string)|null}
+ */
+let htmlSanitizer = null;
+
+/**
+ * Configures the function that cleans markup passed through `dangerouslySetInnerHTML`
+ * before it is inserted by `createDomNode`, `applyDiff` or `renderToString`.
+ * Pass `null` to insert markup unchanged again.
+ *
+ * @param {((html: string) => string)|null} sanitizer - Receives the raw markup and returns the markup to insert.
+ * @example
+ * setSanitizer((html) => DOMPurify.sanitize(html));
+ */
+export const setSanitizer = (sanitizer) => {
+  htmlSanitizer = typeof sanitizer === 'function' ? sanitizer : null;
+};
+
+/**
+ * Returns the markup of a `dangerouslySetInnerHTML` prop, passed through the configured sanitizer.
+ *
+ * @param {{__html: string}|null|undefined} value - The prop value.
+ * @returns {string} The markup to insert.
+ */
+export const sanitizeHtml = (value) => {
+  const html = rawHtml(value);
+  return htmlSanitizer ? htmlSanitizer(html) : html;
+};
+
+/**
+ * Returns the markup of a `dangerouslySetInnerHTML` prop as given, before sanitizing.
+ * @param {{__html: string}|null|undefined} value - The prop value.
+ * @returns {string} The raw markup.
+ */
+const rawHtml = (value) => (value && value.__html !== null && value.__html !== undefined ? String(value.__html) : '');
+
+/**
+ * Checks whether VNode props insert raw markup instead of rendering children.
+ * @param {Object} [props] - The VNode props.
+ * @returns {boolean} True if `dangerouslySetInnerHTML` is set.
+ */
+const hasRawHtml = (props) => Boolean(props && props.dangerouslySetInnerHTML);
+
+/**
+ * Creates a ref object to pass as a `ref` prop. Its `current` property holds the rendered
+ * DOM element while it is mounted, and `null` otherwise.
+ *
+ * @returns {{current: (HTMLElement|null)}} A new ref object.
+ */
+export const createRef = () => ({ current: null });
+
+/**
+ * Refs waiting to be assigned once the current render has finished building the DOM.
+ * @type {Array<[Function|{current: *}, HTMLElement]>}
+ */
+const pendingRefs = [];
+
+/**
+ * Nesting depth of `withRefs` calls; pending refs are flushed when it returns to zero.
+ * @type {number}
+ */
+let refDepth = 0;
+
+/**
+ * Assigns a value to a ref callback or ref object.
+ * @param {Function|{current: *}} ref - The ref.
+ * @param {HTMLElement|null} value - The element, or `null` when it is unmounted.
+ */
+const assignRef = (ref, value) => {
+  if (typeof ref === 'function') {
+    ref(value);
+  } else if (ref && typeof ref === 'object') {
+    ref.current = value;
+  }
+};
+
+/**
+ * Runs a render operation and assigns the refs it queued once it (and any enclosing
+ * render operation) has finished, so ref callbacks see elements that are attached to the DOM.
+ *
+ * @param {Function} fn - The render operation.
+ * @returns {*} The result of `fn`.
+ */
+const withRefs = (fn) => {
+  refDepth++;
+  try {
+    return fn();
+  } finally {
+    if (--refDepth === 0) {
+      pendingRefs.splice(0).forEach(([ref, element]) => assignRef(ref, element));
+    }
+  }
+};
+
+/**
+ * Reactive bindings created by the renderer, per node and per bound prop
+ * (`'text'` for reactive text nodes). Each entry disposes the binding's effect.
+ * @type {WeakMap<Node, Map<string, Function>>}
+ */
+const nodeBindings = new WeakMap();
+
+/**
+ * Whether the tree being rendered binds getter functions and state objects (see `withBindings`).
+ * @type {boolean}
+ */
+let bindingEnabled = false;
+
+/**
+ * Runs a render with bindings turned on: getter functions and state objects placed in JSX children
+ * or non-`on*` props are bound by `applyDiff` and read once by `renderToString`. Everywhere else they
+ * are ordinary values, so a function passed as a prop reaches the element as it is.
+ * Fine-grained components render inside it.
+ *
+ * @example
+ * withBindings(() => applyDiff(container, <p>{() => count.get()}</p>));
+ *
+ * @param {Function} fn - The render to run.
+ * @param {boolean} [enabled=true] - Whether to bind; `false` turns bindings off for a nested render.
+ * @returns {*} The return value of `fn`.
+ */
+export const withBindings = (fn, enabled = true) => {
+  const previous = bindingEnabled;
+  bindingEnabled = enabled;
+  try {
+    return fn();
+  } finally {
+    bindingEnabled = previous;
+  }
+};
+
+/**
+ * Checks whether a value placed in JSX is reactive: inside `withBindings`, a getter function or a
+ * state object (anything with `get` and `subscribe`, such as `useState` and `useComputed` results).
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value should be bound rather than rendered once.
+ */
+const isReactiveValue = (value) => {
+  if (!bindingEnabled) return false;
+  if (typeof value === 'function') return true;
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.get === 'function' && typeof value.subscribe === 'function';
+};
+
+/**
+ * Reads the current value of a reactive value.
+ * @param {Function|{get: Function}} value - A getter function or state object.
+ * @returns {*} The current value.
+ */
+const readReactiveValue = (value) => (typeof value === 'function' ? value() : value.get());
+
+/**
+ * Converts a value to the text of a text node. `null`, `undefined` and booleans render nothing.
+ * @param {*} value - The value.
+ * @returns {string} The text.
+ */
+const toText = (value) => (value === null || value === undefined || typeof value === 'boolean' ? '' : String(value));
+
+/**
+ * Disposes the reactive binding of a node's prop, if there is one.
+ * @param {Node} node - The bound node.
+ * @param {string} key - The bound prop (`'text'` for text nodes).
+ */
+const unbind = (node, key) => {
+  const bindings = nodeBindings.get(node);
+  if (bindings && bindings.has(key)) {
+    bindings.get(key)();
+    bindings.delete(key);
+  }
+};
+
+/**
+ * Binds a node's prop to a reactive value: an effect applies the value now and again whenever
+ * the signals it reads change, without re-rendering anything else. The effect lives in its own
+ * root and is disposed when the binding is replaced or the node is unmounted.
+ *
+ * @param {Node} node - The node to bind.
+ * @param {string} key - The bound prop (`'text'` for text nodes).
+ * @param {Function|{get: Function}} source - The reactive value.
+ * @param {function(*): void} apply - Applies a new value to the node.
+ */
+const bind = (node, key, source, apply) => {
+  unbind(node, key);
+
+  let bindings = nodeBindings.get(node);
+  if (!bindings) {
+    bindings = new Map();
+    nodeBindings.set(node, bindings);
+  }
+
+  // Detached from the current scope, so that re-running a component's render does not dispose it
+  bindings.set(key, untrack(() => root((dispose) => {
+    effect(() => apply(readReactiveValue(source)));
+    return dispose;
+  })));
+};
+
+/**
+ * Binds a text node to a reactive value.
+ * @param {Text} text - The text node.
+ * @param {Function|{get: Function}} source - The reactive value.
+ */
+const bindText = (text, source) => {
+  bind(text, 'text', source, (value) => {
+    const data = toText(value);
+    if (text.data !== data) {
+      text.data = data;
+    }
+  });
+};
+
+/**
+ * Releases a rendered node and its descendants before it is removed from the DOM:
+ * their refs are set to `null`, their reactive bindings are disposed and their portals are removed.
+ * @param {Node} node - The node being removed.
+ */
+const unmountNode = (node) => {
+  const vnode = renderedVNodes.get(node);
+  if (isVNode(vnode) && vnode[1] && vnode[1].ref) {
+    assignRef(vnode[1].ref, null);
+  }
+
+  const bindings = nodeBindings.get(node);
+  if (bindings) {
+    bindings.forEach(dispose => dispose());
+    nodeBindings.delete(node);
+  }
+
+  if (portals.has(node)) {
+    unmountPortal(node);
+  }
+
+  (getProjectedNodes(node) || node.childNodes).forEach(unmountNode);
+};
+
+/**
+ * Listeners attached by the renderer, per element and per event prop (e.g. `onClick:once`).
+ * @type {WeakMap<HTMLElement, Map<string, {handler: Function, listener: Function, type: string, options: Object}>>}
+ */
+const elementListeners = new WeakMap();
+
+/**
+ * Listener options that can be given as event prop modifiers.
+ * @type {Set<string>}
+ */
+const LISTENER_OPTIONS = new Set(['once', 'passive', 'capture']);
+
+/**
+ * Finds the event declared by a FeexVeb component element that an event prop name refers to.
+ *
+ * @param {HTMLElement} element - The element the listener is attached to.
+ * @param {string} name - The event prop name without `on` and modifiers (e.g. `TodoAdded`).
+ * @returns {string|undefined} The declared event name (e.g. `todo-added`), if any.
+ */
+const declaredEvent = (element, name) => {
+  const events = element.constructor.events;
+  if (!Array.isArray(events)) return undefined;
+  const wanted = name.toLowerCase();
+  return events.find(event => event.replace(/-/g, '').toLowerCase() === wanted);
+};
+
+/**
+ * Parses an event prop such as `onClick`, `onValueChanged`, `on-value-changed` or `onSubmit:prevent`.
+ *
+ * - Native events are matched case-insensitively: `onClick` and `onclick` both listen to `click`.
+ * - Events declared by a FeexVeb component (its `events` option) are matched case-insensitively, ignoring dashes:
+ *   `onTodoAdded` listens to `todo-added` on a component that declares it. Elements that do not declare the event,
+ *   such as ancestors it bubbles to, listen to `todoAdded` instead; use `on-todo-added` there.
+ * - Other events keep their case, with the first letter lowercased: `onValueChanged` listens to `valueChanged`.
+ * - A dash after `on` gives the exact event name: `on-value-changed` listens to `value-changed`.
+ * - Modifiers follow the name, separated by colons: `once`, `passive` and `capture` become listener options,
+ *   `prevent` calls `preventDefault()`, `stop` calls `stopPropagation()` and `self` ignores events from descendants.
+ *
+ * @param {HTMLElement} element - The element the listener is attached to.
+ * @param {string} key - The event prop name.
+ * @returns {{type: string, options: Object, modifiers: Set<string>}} The parsed event.
+ */
+const parseEventProp = (element, key) => {
+  const [name, ...modifiers] = key.substring(2).split(':');
+  let type;
+
+  if (name.startsWith('-')) {
+    type = name.substring(1);
+  } else if (`on${name.toLowerCase()}` in element) {
+    type = name.toLowerCase();
+  } else if (declaredEvent(element, name)) {
+    type = declaredEvent(element, name);
+  } else {
+    type = name.charAt(0).toLowerCase() + name.substring(1);
+  }
+
+  const options = {};
+  modifiers.filter(modifier => LISTENER_OPTIONS.has(modifier)).forEach(modifier => {
+    options[modifier] = true;
+  });
+
+  return { type, options, modifiers: new Set(modifiers) };
+};
+
+/**
+ * Attaches, swaps or removes the listener for an event prop.
+ * Each event prop gets one stable DOM listener that forwards to the current handler,
+ * so re-rendering with a new handler function swaps it instead of adding another listener.
+ *
+ * @param {HTMLElement} element - The element to update.
+ * @param {string} key - The event prop name.
+ * @param {Function|null} handler - The new handler, or `null` to remove the listener.
+ */
+const setListener = (element, key, handler) => {
+  let listeners = elementListeners.get(element);
+  const existing = listeners && listeners.get(key);
+
+  if (existing) {
+    if (handler) {
+      existing.handler = handler;
+    } else {
+      element.removeEventListener(existing.type, existing.listener, existing.options);
+      listeners.delete(key);
+    }
+    return;
+  }
+
+  if (!handler) return;
+
+  const { type, options, modifiers } = parseEventProp(element, key);
+  const record = { handler, type, options, listener: null };
+
+  record.listener = (event) => {
+    if (modifiers.has('self') && event.target !== element) return;
+    if (modifiers.has('prevent')) event.preventDefault();
+    if (modifiers.has('stop')) event.stopPropagation();
+    return record.handler.call(element, event);
+  };
+
+  if (!listeners) {
+    listeners = new Map();
+    elementListeners.set(element, listeners);
+  }
+  listeners.set(key, record);
+  element.addEventListener(type, record.listener, options);
+};
+
+/**
+ * Applies a `style` prop. Strings are written to the `style` attribute; objects are applied
+ * property by property (including CSS custom properties such as `--mono-bg`), and properties
+ * that were present in the previous style object but not in the new one are removed.
+ *
+ * @param {HTMLElement} element - The element to update.
+ * @param {string|Object|null|undefined} value - The new style.
+ * @param {string|Object|null|undefined} oldValue - The previously rendered style.
+ */
+const setStyle = (element, value, oldValue) => {
+  if (!value || typeof value !== 'object') {
+    setAttribute(element, 'style', value ? String(value) : null);
+    return;
+  }
+
+  if (!oldValue || typeof oldValue !== 'object') {
+    element.removeAttribute('style');
+    oldValue = {};
+  }
+
+  for (const name of Object.keys(oldValue)) {
+    if (!(name in value)) {
+      element.style.removeProperty(cssPropertyName(name));
+    }
+  }
+  for (const [name, styleValue] of Object.entries(value)) {
+    if (styleValue === null || styleValue === undefined || styleValue === false) {
+      element.style.removeProperty(cssPropertyName(name));
+    } else if (styleValue !== oldValue[name]) {
+      element.style.setProperty(cssPropertyName(name), String(styleValue));
+    }
+  }
+};
+
+/**
+ * Checks whether a value should be passed to a custom element as a property rather than
+ * stringified into an attribute (objects, arrays, Sets, Maps, ...).
+ * @param {HTMLElement} element - The target element.
+ * @param {*} value - The value to bind.
+ * @returns {boolean} True if the value is a rich value on a custom element.
+ */
+const isRichCustomElementValue = (element, value) => {
+  return element.localName.includes('-') && value !== null && typeof value === 'object';
+};
+
+/**
+ * Sets, updates or removes a single prop on a DOM element.
+ *
+ * Binding rules:
+ * - `onXxx` props with function values are event listeners (see `parseEventProp`).
+ * - Inside `withBindings`, other props given a getter function or a state object are bound:
+ *   the prop is updated by its own effect whenever the signals it reads change.
+ * - `prop:name` always sets the DOM property `name`.
+ * - `attr:name` always sets the HTML attribute `name`.
+ * - `class`/`className` accept strings, arrays and objects (see `classNames`); `style` accepts strings and objects.
+ * - `value`, `checked`, `selected`, `indeterminate` and `muted` are set as live properties.
+ * - Object and array values on custom elements are set as properties.
+ * - Everything else is set as an attribute.
+ *
+ * @param {HTMLElement} element - The element to update.
+ * @param {string} key - The prop name.
+ * @param {*} value - The new value (`undefined` removes the prop).
+ * @param {*} oldValue - The previously rendered value.
+ */
+const setProp = (element, key, value, oldValue) => {
+  if (key === 'children' || key === 'key' || key === 'dangerouslySetInnerHTML') return;
+
+  if (key === 'ref') {
+    if (value !== oldValue) {
+      if (oldValue) assignRef(oldValue, null);
+      if (value) pendingRefs.push([value, element]);
+    }
+    return;
+  }
+
+  if (key.startsWith('on') && (typeof value === 'function' || typeof oldValue === 'function')) {
+    setListener(element, key, typeof value === 'function' ? value : null);
+    return;
+  }
+
+  // Getter functions and state objects bind the prop; `prop:` bindings pass them through as they are
+  if (!key.startsWith('prop:')) {
+    if (isReactiveValue(value)) {
+      if (value !== oldValue) {
+        let current;
+        bind(element, key, value, (next) => {
+          applyProp(element, key, next, current);
+          current = next;
+        });
+      }
+      return;
+    }
+    if (isReactiveValue(oldValue)) {
+      unbind(element, key);
+      oldValue = undefined;
+    }
+  }
+
+  applyProp(element, key, value, oldValue);
+};
+
+/**
+ * Applies a resolved (non-reactive) prop value to a DOM element, following the binding rules of `setProp`.
+ *
+ * @param {HTMLElement} element - The element to update.
+ * @param {string} key - The prop name.
+ * @param {*} value - The new value.
+ * @param {*} oldValue - The previously applied value.
+ */
+const applyProp = (element, key, value, oldValue) => {
+  if (key === 'class' || key === 'className') {
+    setAttribute(element, 'class', classNames(value) || null);
+  } else if (key === 'style') {
+    setStyle(element, value, oldValue);
+  } else if (key.startsWith('prop:')) {
+    setProperty(element, key.substring(5), value);
+  } else if (key.startsWith('attr:')) {
+    setAttribute(element, key.substring(5), value);
+  } else if (LIVE_PROPERTIES.has(key) && key in element) {
+    setProperty(element, key, value);
+  } else if (isRichCustomElementValue(element, value) || isRichCustomElementValue(element, oldValue)) {
+    setProperty(element, key, value);
+  } else {
+    setAttribute(element, key === 'htmlFor' ? 'for' : key, value);
+  }
+};
+
+/**
+ * Checks whether a prop must be re-applied on every patch, even if its value did not change,
+ * because the DOM may have drifted from it (e.g. the user typed into a controlled input).
+ * @param {string} key - The prop name.
+ * @returns {boolean} True for live properties.
+ */
+const isLiveProp = (key) => LIVE_PROPERTIES.has(key.startsWith('prop:') ? key.substring(5) : key);
+
+/**
+ * Renders its children completely, expanding every function component in the tree,
+ * so that errors they throw surface while the tree is still being built.
+ * @param {*} children - The children to expand.
+ * @returns {Array<VNode|string|number|null>} The expanded children.
+ */
+const expandChildren = (children) => {
+  return normalizeChildren(children).map(child => {
+    if (!isVNode(child) || !child[1] || child[1].children === undefined || hasRawHtml(child[1])) {
+      return child;
+    }
+    return [child[0], { ...child[1], children: expandChildren(child[1].children) }, child[2]];
+  });
+};
+
+/**
+ * Catches errors thrown by the function components (including `Show`, `For` and other
+ * control-flow render functions) inside it, and renders `fallback` instead of its children.
+ * Caught errors are reported to the global `FeexVeb.onError` handler and to `onError`.
+ * The children are tried again on every render, so the boundary recovers once they stop throwing.
+ *
+ * @example
+ * <ErrorBoundary fallback={(error) => <p class="error">{error.message}</p>}>
+ *   <UserCard user={user} />
+ * </ErrorBoundary>
+ *
+ * @param {Object} props - The component props.
+ * @param {*|function(Error): *} [props.fallback=null] - What to render after an error, or a function receiving the error.
+ * @param {function(Error): void} [props.onError] - Called with each caught error.
+ * @param {*} [props.children] - The children to render.
+ * @returns {*} The rendered children or the fallback.
+ */
+export const ErrorBoundary = ({ fallback = null, onError, children }) => {
+  try {
+    return expandChildren(children);
+  } catch (error) {
+    reportError(error, { phase: 'render' });
+    if (onError) {
+      onError(error);
+    }
+    return typeof fallback === 'function' ? fallback(error) : fallback;
+  }
+};
+
+/**
+ * Renders `fallback` while a resource (see `useResource`) read by its children is loading.
+ * Only reads made while the children are rendered count, so read resources inside a render
+ * function child or inside function components, not in the surrounding render function.
+ * Errors thrown by the children while a resource they read is loading also render the fallback;
+ * other errors propagate to the nearest error boundary.
+ *
+ * @example
+ * <Suspense fallback={<p>Loading…</p>}>
+ *   {() => <UserCard user={user.get()} />}
+ * </Suspense>
+ *
+ * @param {Object} props - The component props.
+ * @param {*} [props.fallback=null] - What to render while loading.
+ * @param {*} [props.children] - The content, or a render function returning it.
+ * @returns {*} The rendered children or the fallback.
+ */
+export const Suspense = ({ fallback = null, children }) => {
+  let failure = null;
+  const { result, resources } = collectResources(() => {
+    try {
+      return expandChildren(resolveChildren(children));
+    } catch (error) {
+      // Content that cannot render without its data yet (e.g. `user.get().name`) waits too
+      failure = error;
+      return null;
+    }
+  });
+
+  if (Array.from(resources).some(resource => resource.loading.get())) {
+    return fallback;
+  }
+  if (failure) {
+    throw failure;
+  }
+  return result;
+};
+
+/**
+ * Renders its children into another container (by default `document.body`) instead of
+ * in place, e.g. for dialogs and toasts that must escape a shadow root's overflow and
+ * stacking context. The children are patched on every render like any other children,
+ * so they stay reactive to the owning component's state; a comment node marks the
+ * portal's position in the component's own tree.
+ *
+ * Events named in `forward` that occur inside the portal are re-dispatched on the
+ * portal's parent, so listeners in the component see them as if they bubbled from there.
+ * The original event does not propagate past the portal's host, and calling `preventDefault`
+ * on the re-dispatched event cancels the original.
+ * The portal content is removed when the portal itself is unmounted.
+ *
+ * @example
+ * <Portal target="body" forward={['close']}>
+ *   <div class="toast">{message}</div>
+ * </Portal>
+ *
+ * @param {Object} props - The component props.
+ * @param {string|Element} [props.target=document.body] - The container, or a selector for it.
+ * @param {Array<string>} [props.forward] - Event types to forward to the portal's parent.
+ * @param {*} [props.children] - The content to render into the target.
+ * @returns {null} Portals are rendered by the renderer; called directly they render nothing.
+ */
+export const Portal = () => null;
+
+/**
+ * State of each mounted portal, by its placeholder comment node.
+ * @type {WeakMap<Comment, {host: HTMLElement, target: (Element|null), forwarded: Map<string, Function>}>}
+ */
+const portals = new WeakMap();
+
+/**
+ * Checks whether a value is a `Portal` VNode.
+ * @param {*} vnode - The virtual node.
+ * @returns {boolean} True for portals.
+ */
+const isPortal = (vnode) => isVNode(vnode) && vnode[0] === Portal;
+
+/**
+ * Resolves a portal's `target` prop to a container element.
+ * @param {string|Element} [target] - The container, or a selector for it.
+ * @returns {Element|null} The container, or null if the selector matched nothing.
+ */
+const resolvePortalTarget = (target) => {
+  if (typeof target === 'string') {
+    return document.querySelector(target);
+  }
+  return target || document.body;
+};
+
+/**
+ * Brings a mounted portal up to date with its props: moves its content to a changed target,
+ * updates the forwarded event types and patches its children.
+ * @param {Comment} placeholder - The portal's placeholder node.
+ * @param {Object} props - The portal props.
+ */
+const updatePortal = (placeholder, props) => {
+  const portal = portals.get(placeholder);
+  const target = resolvePortalTarget(props.target);
+
+  if (!target) {
+    console.error(`Portal target "${props.target}" was not found.`);
+  } else if (target !== portal.target) {
+    target.appendChild(portal.host);
+    portal.target = target;
+  }
+
+  const types = new Set(props.forward || []);
+  portal.forwarded.forEach((listener, type) => {
+    if (!types.has(type)) {
+      portal.host.removeEventListener(type, listener);
+      portal.forwarded.delete(type);
+    }
+  });
+  types.forEach(type => {
+    if (portal.forwarded.has(type)) return;
+    // The original stops at the host, so that listeners above the target do not receive the event
+    // a second time from the copy; cancelling the copy cancels the original
+    const listener = (event) => {
+      if (!placeholder.parentNode) return;
+      event.stopPropagation();
+      if (!placeholder.parentNode.dispatchEvent(new event.constructor(event.type, event))) {
+        event.preventDefault();
+      }
+    };
+    portal.host.addEventListener(type, listener);
+    portal.forwarded.set(type, listener);
+  });
+
+  patchChildren(portal.host, getChildren(props));
+};
+
+/**
+ * Mounts a `Portal` VNode: creates its placeholder and a host element in the target.
+ * @param {VNode} vnode - The portal VNode.
+ * @returns {Comment} The placeholder node to insert in place of the portal.
+ */
+const mountPortal = (vnode) => {
+  const placeholder = document.createComment('Portal');
+  const host = document.createElement('div');
+  host.setAttribute('data-feexveb-portal', '');
+
+  portals.set(placeholder, { host, target: null, forwarded: new Map() });
+  updatePortal(placeholder, vnode[1] || {});
+  renderedVNodes.set(placeholder, vnode);
+  return placeholder;
+};
+
+/**
+ * Releases a portal's content and removes its host element from the target.
+ * @param {Comment} placeholder - The portal's placeholder node.
+ */
+const unmountPortal = (placeholder) => {
+  const portal = portals.get(placeholder);
+  portals.delete(placeholder);
+  portal.forwarded.forEach((listener, type) => portal.host.removeEventListener(type, listener));
+  unmountNode(portal.host);
+  portal.host.remove();
+};
+
+/**
+ * Elements that project the children they are rendered with, mapped to those children
+ * and to the function that places them (see `setProjection`).
+ * @type {WeakMap<Element, {nodes: Array<Node>, update: (function(Array<Node>): void|undefined)}>}
+ */
+const projections = new WeakMap();
+
+/**
+ * Makes an element project the children it is rendered with instead of holding them. When a render
+ * patches the element, those children are reconciled against `nodes` rather than against its child
+ * nodes, and the result is passed to `update`, which places them wherever they belong. A light-DOM
+ * component uses this to show the children its parent renders into it in its own `<slot>` elements,
+ * and to keep a slot's fallback content while the slot shows assigned children.
+ * `applyDiff` on the element itself is not affected.
+ *
+ * @param {Element} element - The projecting element.
+ * @param {Array<Node>} nodes - The children it projects.
+ * @param {function(Array<Node>): void} [update] - Called with the children after each patch.
+ */
+export const setProjection = (element, nodes, update) => {
+  projections.set(element, { nodes, update });
+};
+
+/**
+ * Returns the children an element projects (see `setProjection`).
+ * @param {Element} element - The element.
+ * @returns {Array<Node>|null} The projected children, or `null` if the element does not project its children.
+ */
+export const getProjectedNodes = (element) => (projections.has(element) ? projections.get(element).nodes : null);
+
+/**
+ * Checks whether an existing DOM node can be patched in place to represent a VNode.
+ * @param {Node} node - The existing DOM node.
+ * @param {VNode|string|number|null} vnode - The new virtual node.
+ * @returns {boolean} True if the node can be reused.
+ */
+const canPatch = (node, vnode) => {
+  if (!renderedVNodes.has(node)) return false;
+
+  if (vnode === null) {
+    return node.nodeType === Node.COMMENT_NODE && !portals.has(node);
+  }
+  if (isPortal(vnode)) {
+    return portals.has(node) && getKey(renderedVNodes.get(node)) === getKey(vnode);
+  }
+  if (typeof vnode === 'string' || typeof vnode === 'number' || isReactiveValue(vnode)) {
+    return node.nodeType === Node.TEXT_NODE;
+  }
+  if (isVNode(vnode) && typeof vnode[0] === 'string') {
+    const previous = renderedVNodes.get(node);
+    return isVNode(previous) && previous[0] === vnode[0] && getKey(previous) === getKey(vnode);
+  }
+  return false;
+};
+
+/**
+ * Builds a DOM node from a virtual node. Refs are queued rather than assigned;
+ * use `createDomNode` or `applyDiff` so that they are flushed.
  *
  * @param {VNode|string|number} vnode - The virtual DOM node or a primitive value to convert to a DOM node.
+ * @param {string|null} namespace - The namespace of the parent's children (`null` for HTML).
  * @returns {HTMLElement|Text|DocumentFragment} The created DOM Node.
  */
-export const createDomNode = (vnode) => {
-  // For now, return a simple implementation
-  // In a full mono-jsx integration, this would use mono-jsx's client-side rendering
+const buildNode = (vnode, namespace) => {
   if (typeof vnode === 'string' || typeof vnode === 'number') {
-    return document.createTextNode(String(vnode));
+    const text = document.createTextNode(String(vnode));
+    renderedVNodes.set(text, vnode);
+    return text;
+  }
+
+  if (isReactiveValue(vnode)) {
+    const text = document.createTextNode('');
+    bindText(text, vnode);
+    renderedVNodes.set(text, vnode);
+    return text;
   }
 
   if (!vnode || typeof vnode !== 'object') {
-    return document.createComment('Empty VNode');
+    const placeholder = document.createComment('Empty VNode');
+    renderedVNodes.set(placeholder, null);
+    return placeholder;
   }
 
   // Handle mono-jsx VNode structure [tag, props, symbol]
-  if (Array.isArray(vnode) && vnode.length === 3) {
+  if (isVNode(vnode)) {
     const [tag, props] = vnode;
 
-    if (tag === Fragment) {
-      const fragment = document.createDocumentFragment();
-      if (props && props.children) {
-        const children = Array.isArray(props.children) ? props.children : [props.children];
-        children.forEach(child => {
-          fragment.appendChild(createDomNode(child));
-        });
+    if (tag === Portal) {
+      return mountPortal(vnode);
+    }
+
+    if (tag === Fragment || typeof tag === 'function') {
+      const nodes = normalizeChildren(vnode);
+      if (nodes.length === 1) {
+        return buildNode(nodes[0], namespace);
       }
+      const fragment = document.createDocumentFragment();
+      nodes.forEach(child => {
+        fragment.appendChild(buildNode(child, namespace));
+      });
       return fragment;
     }
 
     if (typeof tag === 'string') {
-      const element = document.createElement(tag);
+      const ns = elementNamespace(tag, namespace);
+      const element = ns ? document.createElementNS(ns, tag) : document.createElement(tag);
 
       if (props) {
-        for (const [key, value] of Object.entries(props)) {
-          if (key === 'children') continue;
-
-          if (key.startsWith('on') && typeof value === 'function') {
-            const eventName = key.substring(2).toLowerCase();
-            element.addEventListener(eventName, value);
-          } else if (key === 'className') {
-            element.className = value;
-          } else if (key === 'htmlFor') {
-            element.setAttribute('for', value);
-          } else if (typeof value === 'boolean') {
-            if (value) {
-              element.setAttribute(key, '');
-            }
-          } else if (value !== null && value !== undefined) {
-            element.setAttribute(key, String(value));
-          }
-        }
-
-        if (props.children) {
-          const children = Array.isArray(props.children) ? props.children : [props.children];
-          children.forEach(child => {
-            element.appendChild(createDomNode(child));
+        // Children first, so that props such as a <select>'s `value` can see their options
+        if (hasRawHtml(props)) {
+          element.innerHTML = sanitizeHtml(props.dangerouslySetInnerHTML);
+        } else {
+          getChildren(props).forEach(child => {
+            element.appendChild(buildNode(child, childNamespace(tag, ns)));
           });
         }
+
+        // Live properties last, so that e.g. an <input>'s `type` is known before its `value`
+        const entries = Object.entries(props);
+        entries.filter(([key]) => !isLiveProp(key)).forEach(([key, value]) => setProp(element, key, value, undefined));
+        entries.filter(([key]) => isLiveProp(key)).forEach(([key, value]) => setProp(element, key, value, undefined));
       }
 
+      renderedVNodes.set(element, vnode);
       return element;
     }
   }
@@ -116,9 +1154,194 @@ export const createDomNode = (vnode) => {
 };
 
 /**
- * Applies a virtual DOM to a container element using mono-jsx.
- * This function performs a simple replace operation for now, but could be enhanced
- * with more sophisticated diffing in the future.
+ * Creates a real DOM node from a mono-jsx virtual DOM node.
+ * This function handles the conversion from mono-jsx's VNode structure to actual DOM elements.
+ * Function components are called with their props and their output is rendered in their place.
+ * `ref` props are assigned once the whole node has been built.
+ * `<svg>` and `<math>` subtrees are created in their XML namespaces.
+ *
+ * @param {VNode|string|number} vnode - The virtual DOM node or a primitive value to convert to a DOM node.
+ * @param {string|null} [namespace=null] - The namespace to create elements in when rendering
+ *   a fragment of a larger SVG or MathML tree (e.g. `'http://www.w3.org/2000/svg'` for a lone `<path>`).
+ * @returns {HTMLElement|Text|DocumentFragment} The created DOM Node.
+ */
+export const createDomNode = (vnode, namespace = null) => withRefs(() => buildNode(vnode, namespace));
+
+/**
+ * Patches an existing DOM node in place so that it matches a new virtual node.
+ * The node must already have been checked with `canPatch`.
+ *
+ * @param {Node} node - The DOM node to update.
+ * @param {VNode|string|number|null} vnode - The new virtual node.
+ */
+const patchNode = (node, vnode) => {
+  if (vnode === null) return;
+
+  if (isReactiveValue(vnode)) {
+    if (vnode !== renderedVNodes.get(node)) {
+      bindText(node, vnode);
+    }
+    renderedVNodes.set(node, vnode);
+    return;
+  }
+
+  if (typeof vnode === 'string' || typeof vnode === 'number') {
+    unbind(node, 'text');
+    const text = String(vnode);
+    if (node.data !== text) {
+      node.data = text;
+    }
+    renderedVNodes.set(node, vnode);
+    return;
+  }
+
+  if (isPortal(vnode)) {
+    updatePortal(node, vnode[1] || {});
+    renderedVNodes.set(node, vnode);
+    return;
+  }
+
+  const previousProps = renderedVNodes.get(node)[1] || {};
+  const props = vnode[1] || {};
+
+  for (const key of Object.keys(previousProps)) {
+    if (!(key in props)) {
+      setProp(node, key, undefined, previousProps[key]);
+    }
+  }
+  for (const [key, value] of Object.entries(props)) {
+    if (value !== previousProps[key] || isLiveProp(key)) {
+      setProp(node, key, value, previousProps[key]);
+    }
+  }
+
+  if (hasRawHtml(props)) {
+    // Unchanged markup is neither sanitized again nor re-inserted
+    if (!hasRawHtml(previousProps) || rawHtml(props.dangerouslySetInnerHTML) !== rawHtml(previousProps.dangerouslySetInnerHTML)) {
+      node.childNodes.forEach(unmountNode);
+      node.innerHTML = sanitizeHtml(props.dangerouslySetInnerHTML);
+    }
+  } else {
+    if (hasRawHtml(previousProps)) {
+      node.innerHTML = '';
+    }
+    const projection = projections.get(node);
+    if (projection) {
+      projection.nodes = reconcileChildren(projection.nodes, getChildren(props), namespaceOf(node));
+      if (projection.update) {
+        projection.update(projection.nodes);
+      }
+    } else {
+      patchChildren(node, getChildren(props));
+    }
+  }
+  renderedVNodes.set(node, vnode);
+};
+
+/**
+ * Reconciles a list of existing child nodes against a list of new virtual children.
+ * Keyed children are matched by their `key` prop and unkeyed children in order; existing nodes
+ * are patched in place whenever they are compatible, and nodes without a match are removed.
+ * Keys should be unique among siblings; children with the same key are matched in order.
+ *
+ * @param {Array<Node>} oldNodes - The existing child nodes.
+ * @param {Array<VNode|string|number|null>} children - The normalized new children.
+ * @param {string|null} namespace - The namespace new children are created in.
+ * @returns {Array<Node>} The nodes for the new children, in order. New nodes are not inserted yet.
+ */
+const reconcileChildren = (oldNodes, children, namespace) => {
+  // Nodes sharing a key are matched in order, so that a duplicate key does not hide the earlier node
+  const keyedNodes = new Map();
+  const unkeyedNodes = [];
+
+  oldNodes.forEach(node => {
+    const key = getKey(renderedVNodes.get(node));
+    if (key !== undefined) {
+      if (!keyedNodes.has(key)) {
+        keyedNodes.set(key, []);
+      }
+      keyedNodes.get(key).push(node);
+    } else {
+      unkeyedNodes.push(node);
+    }
+  });
+
+  const usedNodes = new Set();
+  let unkeyedIndex = 0;
+
+  const nodes = children.map(child => {
+    const key = getKey(child);
+    let candidate;
+
+    if (key !== undefined) {
+      candidate = keyedNodes.has(key) ? keyedNodes.get(key).shift() : undefined;
+    } else {
+      candidate = unkeyedNodes[unkeyedIndex++];
+    }
+
+    if (candidate && canPatch(candidate, child)) {
+      patchNode(candidate, child);
+      usedNodes.add(candidate);
+      return candidate;
+    }
+    return buildNode(child, namespace);
+  });
+
+  oldNodes.forEach(node => {
+    if (!usedNodes.has(node)) {
+      unmountNode(node);
+      node.remove();
+    }
+  });
+
+  return nodes;
+};
+
+/**
+ * Reconciles the child nodes of a DOM parent against a list of new virtual children.
+ * Keyed children are moved rather than recreated, and nodes are only inserted where
+ * they are not already in place.
+ *
+ * @param {Node} parent - The DOM node whose children are reconciled.
+ * @param {Array<VNode|string|number|null>} children - The normalized new children.
+ */
+const patchChildren = (parent, children) => {
+  const nodes = reconcileChildren(Array.from(parent.childNodes), children, namespaceOf(parent));
+  placeNodes(parent, nodes);
+};
+
+/**
+ * Makes the child nodes of a parent match a list of nodes, moving only the nodes that are out of place.
+ * Child nodes that are not in the list are removed, but not unmounted.
+ *
+ * @param {Node} parent - The DOM node to update.
+ * @param {Array<Node>} nodes - Its new child nodes, in order.
+ */
+export const placeNodes = (parent, nodes) => {
+  const kept = new Set(nodes);
+  Array.from(parent.childNodes).forEach(node => {
+    if (!kept.has(node)) {
+      parent.removeChild(node);
+    }
+  });
+
+  let cursor = parent.firstChild;
+  nodes.forEach(node => {
+    if (node === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      parent.insertBefore(node, cursor);
+    }
+  });
+};
+
+/**
+ * Applies a virtual DOM to a container element.
+ * The new tree is reconciled against the nodes rendered by the previous call:
+ * attributes and text are patched in place, keyed children are reordered rather
+ * than recreated, and only nodes that no longer match are replaced. This keeps
+ * focus, caret position, scroll offsets and listeners intact across renders.
+ * Children that were not rendered by `applyDiff` are replaced on the first render.
  *
  * @param {HTMLElement} element - The container DOM element to update.
  * @param {VNode} vdom - The new virtual DOM structure to render.
@@ -129,58 +1352,97 @@ export const applyDiff = (element, vdom) => {
     return;
   }
 
-  // Simple implementation: clear and re-render
-  // In a production environment, this could be enhanced with proper diffing
-  element.innerHTML = '';
+  withRefs(() => patchChildren(element, vdom ? normalizeChildren(vdom) : []));
+};
 
-  if (vdom) {
-    const newNode = createDomNode(vdom);
-    if (newNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
-      element.appendChild(newNode);
-    } else {
-      element.appendChild(newNode);
-    }
-  }
+/**
+ * Tears down everything `applyDiff` rendered into a container: refs are set to `null`,
+ * reactive bindings are disposed, portal content is removed from its targets and the
+ * container is emptied. A later `applyDiff` renders the container from scratch.
+ *
+ * @param {HTMLElement|ShadowRoot} element - The container DOM element.
+ */
+export const unmount = (element) => {
+  if (!element) return;
+
+  Array.from(element.childNodes).forEach(node => {
+    unmountNode(node);
+    node.remove();
+  });
 };
 
 /**
  * Server-side rendering function that converts a VNode to HTML string.
  * This uses mono-jsx's VNode structure for server-side rendering.
+ * Function components are expanded exactly as they are by `createDomNode`.
+ *
+ * `<svg>` and `<math>` subtrees follow XML rules: childless elements are self-closing.
  *
  * @param {VNode} vnode - The virtual DOM node to render to HTML.
+ * @param {string|null} [namespace=null] - The namespace of the surrounding tree (`null` for HTML).
  * @returns {string} The HTML string representation.
  */
-export const renderToString = (vnode) => {
+export const renderToString = (vnode, namespace = null) => {
   if (typeof vnode === 'string' || typeof vnode === 'number') {
     return escapeHtml(String(vnode));
   }
 
+  // Reactive values render their current value
+  if (isReactiveValue(vnode)) {
+    return escapeHtml(toText(readReactiveValue(vnode)));
+  }
+
   if (!vnode || typeof vnode !== 'object') {
     return '';
   }
 
   // Handle mono-jsx VNode structure [tag, props, symbol]
-  if (Array.isArray(vnode) && vnode.length === 3) {
+  if (isVNode(vnode)) {
     const [tag, props] = vnode;
 
-    if (tag === Fragment) {
-      if (props && props.children) {
-        const children = Array.isArray(props.children) ? props.children : [props.children];
-        return children.map(child => renderToString(child)).join('');
-      }
+    // Portal content belongs to another container and is rendered on the client
+    if (tag === Portal) {
       return '';
     }
 
+    if (tag === Fragment || typeof tag === 'function') {
+      return normalizeChildren(vnode).map(child => renderToString(child, namespace)).join('');
+    }
+
     if (typeof tag === 'string') {
+      const ns = elementNamespace(tag, namespace);
       let html = `<${tag}`;
 
       if (props) {
-        for (const [key, value] of Object.entries(props)) {
-          if (key === 'children') continue;
+        for (const [rawKey, rawValue] of Object.entries(props)) {
+          if (rawKey === 'children' || rawKey === 'key' || rawKey === 'ref' || rawKey === 'dangerouslySetInnerHTML') continue;
+          if (rawKey.startsWith('on') && typeof rawValue === 'function') continue;
+
+          const value = !rawKey.startsWith('prop:') && isReactiveValue(rawValue) ? readReactiveValue(rawValue) : rawValue;
+
+          if (rawKey === 'class' || rawKey === 'className') {
+            const className = classNames(value);
+            if (className) {
+              html += ` class="${escapeHtml(className)}"`;
+            }
+            continue;
+          }
+
+          if (rawKey === 'style') {
+            const style = styleToString(value);
+            if (style) {
+              html += ` style="${escapeHtml(style)}"`;
+            }
+            continue;
+          }
+
+          // Properties only survive serialization when they have an attribute equivalent
+          if (rawKey.startsWith('prop:') && !LIVE_PROPERTIES.has(rawKey.substring(5))) continue;
+          if (value !== null && typeof value === 'object') continue;
+
+          const key = rawKey.startsWith('prop:') || rawKey.startsWith('attr:') ? rawKey.substring(5) : rawKey;
 
-          if (key === 'className') {
-            html += ` class="${escapeHtml(value)}"`;
-          } else if (key === 'htmlFor') {
+          if (key === 'htmlFor') {
             html += ` for="${escapeHtml(value)}"`;
           } else if (typeof value === 'boolean') {
             if (value) {
@@ -192,19 +1454,18 @@ export const renderToString = (vnode) => {
         }
       }
 
-      // Self-closing tags
+      const children = hasRawHtml(props)
+        ? sanitizeHtml(props.dangerouslySetInnerHTML)
+        : getChildren(props).map(child => renderToString(child, childNamespace(tag, ns))).join('');
+
+      // Self-closing tags: HTML void elements, and empty SVG/MathML elements
       const selfClosingTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
-      if (selfClosingTags.includes(tag)) {
+      if (ns ? children === '' : selfClosingTags.includes(tag)) {
         html += ' />';
         return html;
       }
 
-      html += '>';
-
-      if (props && props.children) {
-        const children = Array.isArray(props.children) ? props.children : [props.children];
-        html += children.map(child => renderToString(child)).join('');
-      }
+      html += '>' + children;
 
       html += `</${tag}>`;
       return html;
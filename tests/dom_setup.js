@@ -0,0 +1,16 @@
+/**
+ * DOM setup for the test scripts that render to the DOM
+ * Installs a happy-dom window as the global DOM; import it before the library modules
+ */
+
+import { Window } from "happy-dom";
+
+const window = new Window();
+
+globalThis.window = window;
+['document', 'Node', 'Text', 'Comment', 'HTMLElement', 'customElements', 'Event', 'CustomEvent', 'MutationObserver', 'localStorage', 'sessionStorage', 'StorageEvent']
+  .forEach(name => {
+    globalThis[name] = window[name];
+  });
+
+export default window;
@@ -0,0 +1,68 @@
+/**
+ * Test script for the state accessor of FeexVeb.component
+ * Verifies that methods and computed functions see states, computed values, sibling methods,
+ * attributes, the host element and emit, and that writing a computed value fails clearly
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing the component state accessor...\n");
+
+const errors = [];
+FeexVeb.onError = (error, info) => errors.push(`${info.phase}: ${error.message}`);
+FeexVeb.component({
+  tag: 'cart-total',
+  shadowMode: null,
+  state: { items: [2, 3] },
+  attrs: { 'tax-rate': { type: 'number', default: 0.5 } },
+  events: ['total-changed'],
+  computed: {
+    subtotal: (state) => state.items.reduce((sum, price) => sum + price, 0),
+    total: (state) => state.subtotal * (1 + state.taxRate)
+  },
+  methods: {
+    add(state, price) {
+      state.items = [...state.items, price];
+      state.announce();
+    },
+    announce(state) {
+      state.emit('total-changed', { total: state.total, tag: state.element.localName });
+    },
+    overwrite(state) {
+      state.total = 0;
+    }
+  },
+  render: (state) => h('p', null, `Total: ${state.total}`)
+});
+
+const cart = document.createElement('cart-total');
+document.body.appendChild(cart);
+const announced = [];
+cart.addEventListener('total-changed', (event) => announced.push(event.detail));
+
+// Test 1: Computed values read states, attributes and other computed values
+console.log("✓ Test 1: Computed values");
+console.log("  Output:", cart.innerHTML);
+console.assert(cart.innerHTML === '<p>Total: 7.5</p>', "Computed values should see states, attributes and other computed values");
+
+// Test 2: Methods call sibling methods, emit and see the host element
+console.log("\n✓ Test 2: Methods");
+cart._ctx.methods.add(5);
+FeexVeb.flushSync();
+console.log("  Output:", cart.innerHTML, "Announced:", announced);
+console.assert(cart.innerHTML === '<p>Total: 15</p>', "Methods should set states through the accessor");
+console.assert(announced.length === 1 && announced[0].total === 15 && announced[0].tag === 'cart-total',
+  "Methods should call sibling methods, emit events and read the host element");
+
+// Test 3: Computed values are read-only
+console.log("\n✓ Test 3: Read-only computed values");
+cart._ctx.methods.overwrite();
+console.log("  Errors:", errors);
+console.assert(errors.join() === 'method: Cannot set "total" of <cart-total>: it is a computed value.',
+  "Writing a computed value should fail with a clear error");
+console.assert(cart.innerHTML === '<p>Total: 15</p>', "A failed write should leave the computed value unchanged");
+
+console.log("\n🎉 All state accessor tests passed!");
@@ -0,0 +1,55 @@
+/**
+ * Test script for FeexVeb prop bindings
+ * Verifies the prop:/attr: prefixes, live properties and rich values passed to custom elements
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing FeexVeb prop bindings...\n");
+
+const container = document.createElement('div');
+
+// Test 1: prop: sets a DOM property, attr: an attribute
+console.log("✓ Test 1: prop: and attr: prefixes");
+const rows = new Set([1, 2]);
+FeexVeb.applyDiff(container, h('data-grid', { 'prop:selectedRows': rows, 'prop:label': 'Users', 'attr:aria-label': 'Grid' }));
+const grid = container.firstChild;
+console.log("  Output:", container.innerHTML);
+console.assert(grid.selectedRows === rows, "prop: should pass the value as it is");
+console.assert(grid.label === 'Users' && !grid.hasAttribute('label'), "prop: should not write an attribute");
+console.assert(grid.getAttribute('aria-label') === 'Grid', "attr: should write the attribute");
+FeexVeb.applyDiff(container, h('data-grid', { 'prop:selectedRows': rows }));
+console.assert(!grid.hasAttribute('aria-label'), "A removed attr: prop should remove the attribute");
+
+// Test 2: attr: forces an attribute for a live property
+console.log("\n✓ Test 2: attr: on a live property");
+FeexVeb.applyDiff(container, h('input', { 'attr:value': 'initial' }));
+const field = container.firstChild;
+console.assert(field.getAttribute('value') === 'initial', "attr:value should set the value attribute");
+FeexVeb.applyDiff(container, h('input', { value: 'typed' }));
+console.assert(field.value === 'typed', "value should be set as the live property");
+
+// Test 3: Live properties are re-applied after the DOM drifts from them
+console.log("\n✓ Test 3: Controlled inputs");
+FeexVeb.applyDiff(container, h('input', { type: 'checkbox', checked: true, value: 'on' }));
+const checkbox = container.firstChild;
+checkbox.checked = false;
+FeexVeb.applyDiff(container, h('input', { type: 'checkbox', checked: true, value: 'on' }));
+console.log("  Checked after re-render:", checkbox.checked);
+console.assert(checkbox.checked === true, "checked should be restored on every render");
+console.assert(!checkbox.hasAttribute('checked'), "checked should be set as a property, not an attribute");
+
+// Test 4: Objects and arrays are properties on custom elements only
+console.log("\n✓ Test 4: Rich values on custom elements");
+const columns = ['name', 'email'];
+FeexVeb.applyDiff(container, h('data-grid', { columns, title: 'Team' }));
+const richGrid = container.firstChild;
+console.assert(richGrid.columns === columns, "Arrays should be set as properties on custom elements");
+console.assert(richGrid.getAttribute('title') === 'Team', "Strings should still be attributes");
+FeexVeb.applyDiff(container, h('div', { 'data-info': 'plain' }));
+console.assert(container.firstChild.getAttribute('data-info') === 'plain', "Plain elements should get attributes");
+
+console.log("\n🎉 All prop binding tests passed!");
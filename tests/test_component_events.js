@@ -0,0 +1,72 @@
+/**
+ * Test script for declared component events
+ * Verifies emit's defaults and return value, and how onXxx props are matched to declared events
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing component events...\n");
+
+FeexVeb.component({
+  tag: 'todo-item',
+  state: { text: 'Ship it' },
+  events: {
+    'todo-toggled': {},
+    'todo-delete': { cancelable: true }
+  },
+  methods: {
+    toggle: (state) => state.emit('todo-toggled', { text: state.text }),
+    remove: (state) => state.emit('todo-delete', { text: state.text }),
+    misspell: (state) => state.emit('todo-toggle')
+  },
+  render: ({ text }) => h('span', null, text)
+});
+
+const received = [];
+const container = document.createElement('div');
+document.body.appendChild(container);
+FeexVeb.applyDiff(container, h('section', { 'on-todo-toggled': (event) => received.push(`section ${event.detail.text}`) },
+  h('todo-item', {
+    onTodoToggled: (event) => received.push(`item ${event.detail.text}`),
+    ontododelete: (event) => event.preventDefault()
+  })
+));
+const item = container.querySelector('todo-item');
+
+// Test 1: onXxx props on the emitting component match its declared events
+console.log("✓ Test 1: onXxx props");
+item._ctx.methods.toggle();
+console.log("  Received:", received);
+console.assert(received.join() === 'item Ship it,section Ship it', "onTodoToggled should listen to todo-toggled, and on-todo-toggled should catch it bubbling");
+
+// Test 2: Events bubble and are composed by default; declared options apply
+console.log("\n✓ Test 2: Event options");
+let toggled;
+item.addEventListener('todo-toggled', (event) => { toggled = event; }, { once: true });
+item._ctx.methods.toggle();
+console.assert(toggled instanceof CustomEvent && toggled.bubbles && toggled.composed, "Events should bubble and be composed by default");
+console.assert(item._ctx.methods.remove() === false, "emit should return false when a listener cancels a cancelable event");
+
+// Test 3: onXxx on an element that does not declare the event keeps the camelCased name
+console.log("\n✓ Test 3: Undeclared events");
+received.length = 0;
+FeexVeb.applyDiff(container, h('section', { onTodoToggled: () => received.push('camelCase') }, h('todo-item', null)));
+container.querySelector('todo-item')._ctx.methods.toggle();
+console.assert(received.length === 0, "onTodoToggled on a plain element should not match the dashed event name");
+container.firstChild.dispatchEvent(new CustomEvent('todoToggled'));
+console.assert(received.join() === 'camelCase', "onTodoToggled on a plain element should listen to todoToggled");
+
+// Test 4: Emitting an undeclared event warns
+console.log("\n✓ Test 4: Undeclared emit");
+const warnings = [];
+const warn = console.warn;
+console.warn = (message) => warnings.push(message);
+item._ctx.methods.misspell();
+console.warn = warn;
+console.log("  Warnings:", warnings);
+console.assert(warnings.length === 1 && warnings[0].includes('"todo-toggle"'), "Emitting an undeclared event should log a warning");
+
+console.log("\n🎉 All component event tests passed!");
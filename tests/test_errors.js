@@ -0,0 +1,99 @@
+/**
+ * Test script for component error handling
+ * Verifies that errors are reported, that a fallback replaces the render until reset,
+ * and that a component without a fallback keeps its last render after a method or effect error
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing component error handling...\n");
+
+const reported = [];
+FeexVeb.onError = (error, info) => reported.push(`${info.tag} ${info.phase}: ${error.message}`);
+
+// Test 1: Without a fallback, method and effect errors keep the last render
+console.log("✓ Test 1: No fallback");
+FeexVeb.defineComponent({
+  tag: 'plain-counter',
+  shadowMode: null,
+  setup: (ctx) => {
+    const count = FeexVeb.useState(0);
+    FeexVeb.useEffect(() => {
+      if (count.get() === 2) throw new Error('Effect failed');
+    }, [count]);
+    return {
+      state: { count },
+      methods: {
+        increment: () => count.set(count.get() + 1),
+        explode: () => { throw new Error('Click failed'); }
+      }
+    };
+  },
+  render: (ctx) => h('p', null, `count ${ctx.states.count.get()}`)
+});
+const plain = document.createElement('plain-counter');
+document.body.appendChild(plain);
+plain._ctx.methods.explode();
+FeexVeb.flushSync();
+console.log("  Output:", plain.innerHTML);
+console.assert(plain.innerHTML === '<p>count 0</p>', "A method error should not blank a component without a fallback");
+plain._ctx.methods.increment();
+FeexVeb.flushSync();
+console.assert(plain.innerHTML === '<p>count 1</p>', "The component should keep working after a method error");
+console.assert(reported.join() === 'plain-counter method: Click failed', "The method error should be reported");
+plain._ctx.methods.increment();
+FeexVeb.flushSync();
+console.log("  After an effect error:", plain.innerHTML);
+console.assert(plain.innerHTML === '<p>count 2</p>', "An effect error should not blank a component without a fallback");
+console.assert(reported[1] === 'plain-counter effect: Effect failed', "The effect error should be reported");
+
+// Test 2: With a fallback, method and effect errors render it until reset
+console.log("\n✓ Test 2: Fallback and reset");
+reported.length = 0;
+const handled = [];
+let resetError;
+FeexVeb.component({
+  tag: 'guarded-counter',
+  shadowMode: null,
+  state: { count: 0 },
+  methods: {
+    explode: () => { throw new Error('Save failed'); }
+  },
+  onError: (error, info) => handled.push(info.phase),
+  fallback: (error, reset) => {
+    resetError = reset;
+    return h('p', { class: 'error' }, error.message);
+  },
+  render: ({ count }) => h('p', null, `count ${count}`)
+});
+const guarded = document.createElement('guarded-counter');
+document.body.appendChild(guarded);
+guarded._ctx.methods.explode();
+FeexVeb.flushSync();
+console.log("  Output:", guarded.innerHTML);
+console.assert(guarded.innerHTML === '<p class="error">Save failed</p>', "A method error should render the fallback");
+console.assert(handled.join() === 'method' && reported.join() === 'guarded-counter method: Save failed', "onError and the global handler should both see the error");
+resetError();
+FeexVeb.flushSync();
+console.assert(guarded.innerHTML === '<p>count 0</p>', "reset should render the component again");
+
+// Test 3: A render error renders the fallback
+console.log("\n✓ Test 3: Render errors");
+FeexVeb.component({
+  tag: 'broken-profile',
+  shadowMode: null,
+  fallback: h('p', null, 'Unavailable'),
+  render: () => { throw new Error('No profile'); }
+});
+const broken = document.createElement('broken-profile');
+document.body.appendChild(broken);
+console.log("  Output:", broken.innerHTML);
+console.assert(broken.innerHTML === '<p>Unavailable</p>', "A render error should render the fallback");
+console.assert(reported[reported.length - 1] === 'broken-profile render: No profile', "The render error should be reported");
+
+FeexVeb.onError = null;
+
+console.log("\n🎉 All error handling tests passed!");
@@ -0,0 +1,72 @@
+/**
+ * Test script for FeexVeb event props
+ * Verifies event name parsing, listener modifiers and that re-renders swap handlers instead of adding listeners
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing FeexVeb event props...\n");
+
+const container = document.createElement('div');
+document.body.appendChild(container);
+const calls = [];
+const fire = (target, type, init = {}) => target.dispatchEvent(new Event(type, { bubbles: true, cancelable: true, ...init }));
+
+// Test 1: Event names
+console.log("✓ Test 1: Event names");
+FeexVeb.applyDiff(container, h('button', {
+  onClick: () => calls.push('click'),
+  onValueChanged: () => calls.push('valueChanged'),
+  'on-value-changed': () => calls.push('value-changed')
+}));
+const button = container.firstChild;
+fire(button, 'click');
+fire(button, 'valueChanged');
+fire(button, 'valuechanged');
+fire(button, 'value-changed');
+console.log("  Calls:", calls);
+console.assert(calls.join() === 'click,valueChanged,value-changed', "Native events should be lowercased and custom events keep their case");
+
+// Test 2: Re-rendering swaps the handler
+console.log("\n✓ Test 2: Handler swapping");
+calls.length = 0;
+FeexVeb.applyDiff(container, h('button', { onClick: () => calls.push('first') }));
+FeexVeb.applyDiff(container, h('button', { onClick: () => calls.push('second') }));
+fire(button, 'click');
+FeexVeb.applyDiff(container, h('button', {}));
+fire(button, 'click');
+console.log("  Calls:", calls);
+console.assert(calls.join() === 'second', "Only the current handler should run, and removing the prop should remove the listener");
+
+// Test 3: once and capture
+console.log("\n✓ Test 3: Listener options");
+calls.length = 0;
+FeexVeb.applyDiff(container, h('div', { 'onClick:capture': () => calls.push('outer') },
+  h('button', { 'onClick:once': () => calls.push('inner') })));
+const inner = container.firstChild.firstChild;
+fire(inner, 'click');
+fire(inner, 'click');
+console.log("  Calls:", calls);
+console.assert(calls.join() === 'outer,inner,outer', "capture should run before the target and once only once");
+
+// Test 4: prevent, stop and self
+console.log("\n✓ Test 4: prevent, stop and self");
+calls.length = 0;
+FeexVeb.applyDiff(container, h('form', { 'onSubmit:self': () => calls.push('form') },
+  h('p', { 'onSubmit:prevent:stop': () => calls.push('paragraph') }, h('span', null))));
+const form = container.firstChild;
+const submit = new Event('submit', { bubbles: true, cancelable: true });
+form.firstChild.firstChild.dispatchEvent(submit);
+console.assert(submit.defaultPrevented, "prevent should call preventDefault");
+console.assert(calls.join() === 'paragraph', "stop should keep the event from reaching the form");
+FeexVeb.applyDiff(container, h('form', { 'onSubmit:self': () => calls.push('form') }, h('span', null)));
+fire(form.firstChild, 'submit');
+console.assert(calls.join() === 'paragraph', "self should ignore events from descendants");
+fire(form, 'submit');
+console.log("  Calls:", calls);
+console.assert(calls.join() === 'paragraph,form', "self should run for events dispatched on the element itself");
+
+console.log("\n🎉 All event prop tests passed!");
@@ -0,0 +1,68 @@
+/**
+ * Test script for the public element API
+ * Verifies that exposed states, computed values and methods are properties of the element
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing exposed element properties...\n");
+
+// An element created before its component is defined keeps the value assigned to it
+const early = document.createElement('step-counter');
+early.count = 4;
+
+FeexVeb.component({
+  tag: 'step-counter',
+  shadowMode: null,
+  state: { count: 0, secret: 'hidden' },
+  computed: { isEven: (state) => state.count % 2 === 0 },
+  methods: { increment: (state) => state.count++ },
+  expose: ['count', 'isEven', 'increment'],
+  render: ({ count }) => h('span', null, count)
+});
+
+const counter = document.createElement('step-counter');
+document.body.appendChild(counter);
+
+// Test 1: States and methods
+console.log("✓ Test 1: States and methods");
+counter.increment();
+FeexVeb.flushSync();
+console.log("  Count:", counter.count, "Output:", counter.innerHTML);
+console.assert(counter.count === 1 && counter.innerHTML === '<span>1</span>', "Exposed methods should update the state and re-render");
+const { increment } = counter;
+increment();
+console.assert(counter.count === 2, "Exposed methods should stay bound to the element");
+counter.count = 10;
+FeexVeb.flushSync();
+console.assert(counter.innerHTML === '<span>10</span>', "Assigning an exposed state should re-render the component");
+console.assert(counter.secret === undefined, "States that are not exposed should stay private");
+
+// Test 2: Computed values are read-only
+console.log("\n✓ Test 2: Computed values");
+console.assert(counter.isEven === true, "Exposed computed values should be readable");
+let message = '';
+try {
+  counter.isEven = false;
+} catch (error) {
+  message = error.message;
+}
+console.log("  Error:", message);
+console.assert(message === 'Cannot set "isEven" of <step-counter>: it is read-only.', "Assigning a computed value should throw");
+
+// Test 3: Exposed states are tracked
+console.log("\n✓ Test 3: Tracking");
+const parity = FeexVeb.useComputed(() => (counter.isEven ? 'even' : 'odd'), []);
+counter.count = 11;
+console.assert(parity.get() === 'odd', "Reading an exposed property should track it");
+
+// Test 4: Values assigned before the upgrade
+console.log("\n✓ Test 4: Upgrade");
+customElements.upgrade(early);
+console.log("  Count:", early.count);
+console.assert(early.count === 4, "A value assigned before the element was defined should become the state");
+
+console.log("\n🎉 All exposed property tests passed!");
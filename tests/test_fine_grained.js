@@ -0,0 +1,64 @@
+/**
+ * Test script for fine-grained bindings
+ * Verifies that getters and state objects are bound in fine-grained components and in withBindings,
+ * and that other components pass functions through without calling them
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing fine-grained bindings...\n");
+
+// Test 1: State objects and getters in a fine-grained component
+console.log("✓ Test 1: Fine-grained components");
+let renders = 0;
+FeexVeb.defineComponent({
+  tag: 'live-count',
+  shadowMode: null,
+  fineGrained: true,
+  setup: () => ({ state: { c: FeexVeb.useState(1) } }),
+  render: (ctx) => {
+    renders++;
+    return h('p', { title: ctx.c, class: () => (ctx.c.get() > 1 ? 'many' : 'one') }, 'c=', ctx.c, ' double=', () => ctx.c.get() * 2);
+  }
+});
+const live = document.createElement('live-count');
+document.body.appendChild(live);
+const paragraph = live.firstChild;
+console.log("  Output:", live.innerHTML);
+console.assert(live.innerHTML === '<p title="1" class="one">c=1 double=2</p>', "State shortcuts and getters should render their values");
+live._ctx.c.set(5);
+FeexVeb.flushSync();
+console.log("  After set:", live.innerHTML);
+console.assert(live.innerHTML === '<p title="5" class="many">c=5 double=10</p>', "Bindings should follow the state");
+console.assert(renders === 1 && live.firstChild === paragraph, "A fine-grained component should not re-render");
+
+// Test 2: Other components do not call functions
+console.log("\n✓ Test 2: Regular components");
+const calls = [];
+const callback = () => calls.push('called');
+FeexVeb.defineComponent({
+  tag: 'plain-list',
+  shadowMode: null,
+  setup: () => ({}),
+  render: () => h('data-list', { 'prop:renderItem': callback }, callback)
+});
+const plain = document.createElement('plain-list');
+document.body.appendChild(plain);
+console.assert(calls.length === 0, "Functions should not be called outside of bindings");
+console.assert(plain.firstChild.renderItem === callback, "prop: should pass a function to the element");
+
+// Test 3: withBindings outside of components
+console.log("\n✓ Test 3: withBindings");
+const count = FeexVeb.useState(2);
+const container = document.createElement('div');
+FeexVeb.withBindings(() => FeexVeb.applyDiff(container, h('span', null, count)));
+count.set(3);
+const html = FeexVeb.withBindings(() => FeexVeb.renderToString(h('span', { title: count }, () => count.get() + 1)));
+console.log("  Output:", container.innerHTML, html);
+console.assert(container.innerHTML === '<span>3</span>', "applyDiff inside withBindings should bind state objects");
+console.assert(html === '<span title="3">4</span>', "renderToString inside withBindings should read reactive values once");
+
+console.log("\n🎉 All fine-grained binding tests passed!");
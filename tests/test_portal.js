@@ -0,0 +1,66 @@
+/**
+ * Test script for portals
+ * Verifies that portal content is rendered into its target, follows the owner's state,
+ * forwards events once to the portal's parent and is removed on disconnect
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing portals...\n");
+
+const overlay = document.createElement('div');
+overlay.id = 'overlay';
+document.body.appendChild(overlay);
+
+FeexVeb.component({
+  tag: 'toast-owner',
+  shadowMode: null,
+  deferTeardown: false,
+  state: { message: 'Saved' },
+  render: ({ message }) => h('div', { class: 'owner' },
+    h(FeexVeb.Portal, { target: '#overlay', forward: ['close'] },
+      h('div', { class: 'toast' }, message, h('button', null, 'Close'))
+    )
+  )
+});
+
+const owner = document.createElement('toast-owner');
+document.body.appendChild(owner);
+
+// Test 1: Content is rendered into the target
+console.log("✓ Test 1: Target");
+console.log("  Owner:", owner.innerHTML, "Overlay:", overlay.innerHTML);
+console.assert(overlay.querySelector('.toast').textContent === 'SavedClose', "Portal content should be rendered into its target");
+console.assert(!owner.querySelector('.toast'), "Portal content should not be rendered in place");
+
+// Test 2: Content follows the owner's state
+console.log("\n✓ Test 2: Reactivity");
+const toast = overlay.querySelector('.toast');
+owner._ctx.states.message.set('Deleted');
+FeexVeb.flushSync();
+console.assert(overlay.querySelector('.toast') === toast && toast.textContent === 'DeletedClose', "Portal content should be patched with the owner's state");
+
+// Test 3: Forwarded events reach the portal's parent once and can be cancelled there
+console.log("\n✓ Test 3: Forwarded events");
+const received = [];
+owner.querySelector('.owner').addEventListener('close', (event) => {
+  received.push('owner');
+  event.preventDefault();
+});
+document.addEventListener('close', () => received.push('document'));
+const close = new CustomEvent('close', { bubbles: true, composed: true, cancelable: true, detail: { id: 1 } });
+toast.querySelector('button').dispatchEvent(close);
+console.log("  Received:", received);
+console.assert(received.join() === 'owner,document', "The event should reach the portal's parent and each ancestor once");
+console.assert(close.defaultPrevented, "preventDefault on the forwarded event should cancel the original");
+
+// Test 4: Content is removed on disconnect
+console.log("\n✓ Test 4: Disconnect");
+owner.remove();
+console.log("  Overlay:", overlay.innerHTML);
+console.assert(overlay.innerHTML === '', "Portal content should be removed when its owner is disconnected");
+
+console.log("\n🎉 All portal tests passed!");
@@ -0,0 +1,65 @@
+/**
+ * Test script for FeexVeb props
+ * Verifies attribute conversion, serialization and validation, and that the server renderer converts and writes props the same way
+ */
+
+import { normalizeProp, convertAttributeValue, serializeAttributeValue, validateProp } from "../lib/src/props.js";
+import { ServerFeexVeb } from "../lib/src/server-renderer.js";
+
+console.log("Testing FeexVeb props...\n");
+
+// Test 1: Declarations are normalized to definitions
+console.log("✓ Test 1: normalizeProp");
+console.assert(normalizeProp('number').type === 'number', "A type name should become the type");
+console.assert(normalizeProp([]).type === 'array', "A default value should determine the type");
+console.assert(normalizeProp({ default: 5 }).type === 'number', "A definition without a type should infer it from its default");
+console.assert(normalizeProp('boolean').default === false, "Boolean props should default to false");
+
+// Test 2: Attribute strings are converted to typed values and back
+console.log("\n✓ Test 2: Conversion and serialization");
+const date = convertAttributeValue('2024-01-02T00:00:00.000Z', 'date');
+console.log("  Converted:", convertAttributeValue('["a","b"]', 'array'), convertAttributeValue('', 'boolean'), date);
+console.assert(convertAttributeValue('42', 'number') === 42, "Numbers should be converted");
+console.assert(convertAttributeValue('', 'boolean') === true && convertAttributeValue('false', 'boolean') === false, "Booleans should follow attribute presence");
+console.assert(convertAttributeValue('{"a":1}', 'object').a === 1, "Objects should be parsed as JSON");
+console.assert(convertAttributeValue('a,b', { fromAttribute: value => value.split(',') }).length === 2, "Converters should be used");
+console.assert(serializeAttributeValue(date, 'date') === '2024-01-02T00:00:00.000Z', "Dates should serialize to ISO strings");
+console.assert(serializeAttributeValue(false, 'boolean') === null, "False booleans should remove the attribute");
+console.assert(serializeAttributeValue([1], 'array') === '[1]', "Arrays should serialize to JSON");
+
+// Test 3: Validation reports type mismatches and failed validators
+console.log("\n✓ Test 3: validateProp");
+const problem = validateProp(NaN, { type: 'number' });
+console.log("  Problem:", problem);
+console.assert(problem === 'expected a number, got NaN', "Invalid numbers should be reported");
+console.assert(validateProp(-1, { type: 'number', validate: value => value > 0 || 'must be positive' }) === 'must be positive', "Validator messages should be returned");
+console.assert(validateProp([1], { type: 'array' }) === null, "Valid values should pass");
+
+// Test 4: The server renderer shares the conversion
+console.log("\n✓ Test 4: ServerFeexVeb.convertAttributeValue");
+console.assert(ServerFeexVeb.convertAttributeValue('[1,2]', 'array').length === 2, "The server should convert arrays like the client");
+console.assert(ServerFeexVeb.convertAttributeValue('7', 'number') === 7, "The server should convert numbers like the client");
+
+// Test 5: The hydration wrapper writes declared props in the form the client converts back
+console.log("\n✓ Test 5: ServerFeexVeb.renderComponent attributes");
+ServerFeexVeb.component({
+  tag: 'x-list',
+  attrs: { tags: 'array', since: 'date', open: 'boolean', 'page-size': 'number' },
+  render: () => ServerFeexVeb.createElement('ul', null)
+});
+const hydrated = ServerFeexVeb.renderComponent('x-list', {
+  tags: ['a', 'b'],
+  since: new Date('2024-01-02T00:00:00.000Z'),
+  open: false,
+  'page-size': 20,
+  title: 'Tags'
+});
+console.log("  Output:", hydrated);
+console.assert(hydrated.includes(' tags="[&quot;a&quot;,&quot;b&quot;]"'), "Array props should be written as JSON");
+console.assert(hydrated.includes(' since="2024-01-02T00:00:00.000Z"'), "Date props should be written as ISO strings");
+console.assert(!hydrated.includes(' open'), "False boolean props should be left out");
+console.assert(hydrated.includes(' page-size="20"') && hydrated.includes(' title="Tags"'), "Other props should be written as strings");
+const tagsAttribute = hydrated.match(/ tags="([^"]*)"/)[1].replace(/&quot;/g, '"');
+console.assert(convertAttributeValue(tagsAttribute, 'array').join() === 'a,b', "The client should convert the written value back");
+
+console.log("\n🎉 All props tests passed!");
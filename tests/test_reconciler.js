@@ -0,0 +1,58 @@
+/**
+ * Test script for the FeexVeb DOM reconciler
+ * Verifies that keyed children keep their DOM nodes when reordered, inserted and removed,
+ * that changed tags are rebuilt and that duplicate keys are matched in order
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing FeexVeb reconciler...\n");
+
+const container = document.createElement('ul');
+const renderList = (keys) => FeexVeb.applyDiff(container, keys.map(key => h('li', { key }, `Item ${key}`)));
+const nodesByKey = () => new Map(Array.from(container.children).map(node => [node.textContent.slice(5), node]));
+const text = () => Array.from(container.children).map(node => node.textContent).join(',');
+
+// Test 1: Reordering moves the existing nodes
+console.log("✓ Test 1: Reorder");
+renderList(['a', 'b', 'c']);
+const initial = nodesByKey();
+renderList(['c', 'a', 'b']);
+console.log("  Items:", text());
+console.assert(text() === 'Item c,Item a,Item b', "Children should follow the new order");
+console.assert(['a', 'b', 'c'].every(key => nodesByKey().get(key) === initial.get(key)), "Reordered children should keep their nodes");
+
+// Test 2: Inserting and removing keep the other nodes
+console.log("\n✓ Test 2: Insert and remove");
+renderList(['c', 'x', 'b']);
+console.log("  Items:", text());
+console.assert(text() === 'Item c,Item x,Item b', "Inserted and removed children should be reflected");
+console.assert(nodesByKey().get('c') === initial.get('c') && nodesByKey().get('b') === initial.get('b'), "Remaining children should keep their nodes");
+console.assert(!initial.get('a').isConnected, "Removed children should be removed from the DOM");
+console.assert(!Array.from(initial.values()).includes(nodesByKey().get('x')), "Inserted children should get new nodes");
+
+// Test 3: A changed tag is rebuilt, an unchanged one is patched
+console.log("\n✓ Test 3: Mismatched tags");
+const box = document.createElement('div');
+FeexVeb.applyDiff(box, [h('p', { key: 1, class: 'old' }, 'One'), h('span', null, 'Two')]);
+const [paragraph, span] = Array.from(box.children);
+FeexVeb.applyDiff(box, [h('p', { key: 1, class: 'new' }, 'One'), h('em', null, 'Two')]);
+console.log("  Output:", box.innerHTML);
+console.assert(box.children[0] === paragraph && paragraph.className === 'new', "A matching element should be patched in place");
+console.assert(box.children[1] !== span && box.children[1].tagName === 'EM', "An element whose tag changed should be rebuilt");
+console.assert(!span.isConnected, "The replaced element should be removed");
+
+// Test 4: Duplicate keys are matched in order
+console.log("\n✓ Test 4: Duplicate keys");
+FeexVeb.applyDiff(box, [h('p', { key: 'dup' }, 'First'), h('p', { key: 'dup' }, 'Second')]);
+const [first, second] = Array.from(box.children);
+FeexVeb.applyDiff(box, [h('p', { key: 'dup' }, 'First!'), h('p', { key: 'dup' }, 'Second!')]);
+console.log("  Output:", box.innerHTML);
+console.assert(box.children.length === 2, "Both children with a duplicate key should be rendered");
+console.assert(box.children[0] === first && box.children[1] === second, "Children with the same key should keep their nodes in order");
+console.assert(box.textContent === 'First!Second!', "Children with the same key should both be patched");
+
+console.log("\n🎉 All reconciler tests passed!");
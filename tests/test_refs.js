@@ -0,0 +1,45 @@
+/**
+ * Test script for FeexVeb refs
+ * Verifies that ref objects and callbacks are assigned on mount, re-assigned on replacement and cleared on removal
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing FeexVeb refs...\n");
+
+const container = document.createElement('div');
+document.body.appendChild(container);
+
+// Test 1: Ref objects
+console.log("✓ Test 1: createRef");
+const input = FeexVeb.createRef();
+console.assert(input.current === null, "A new ref should be empty");
+FeexVeb.applyDiff(container, h('form', null, h('input', { ref: input, name: 'email' })));
+console.log("  Current:", input.current && input.current.outerHTML);
+console.assert(input.current === container.querySelector('input'), "The ref should hold the rendered element");
+
+// Test 2: Callback refs see attached elements
+console.log("\n✓ Test 2: Callback refs");
+const seen = [];
+const track = (element) => seen.push(element ? `${element.tagName}:${element.isConnected}` : null);
+FeexVeb.applyDiff(container, h('form', null, h('input', { ref: input, name: 'email' }), h('p', { ref: track }, 'Hint')));
+console.log("  Calls:", seen);
+console.assert(seen.join() === 'P:true', "Callback refs should be called once the element is attached");
+FeexVeb.applyDiff(container, h('form', null, h('input', { ref: input, name: 'email' }), h('p', { ref: track }, 'Updated')));
+console.assert(seen.length === 1, "A patched element should not call its ref again");
+
+// Test 3: Replacement and removal
+console.log("\n✓ Test 3: Replacement and removal");
+const previous = input.current;
+FeexVeb.applyDiff(container, h('form', null, h('textarea', { ref: input }), h('em', { ref: track }, 'Hint')));
+console.log("  Calls:", seen);
+console.assert(input.current !== previous && input.current.tagName === 'TEXTAREA', "A replaced element should be assigned to the ref");
+console.assert(seen.join() === 'P:true,,EM:true', "A replaced element should clear the old ref and assign the new one");
+FeexVeb.unmount(container);
+console.assert(input.current === null, "Unmounting should clear ref objects");
+console.assert(seen[seen.length - 1] === null, "Unmounting should call callback refs with null");
+
+console.log("\n🎉 All ref tests passed!");
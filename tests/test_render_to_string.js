@@ -0,0 +1,119 @@
+/**
+ * Test script for the FeexVeb string renderer
+ * Verifies that renderToString expands function components and fragments the same way the DOM renderer does,
+ * that raw HTML goes through the configured sanitizer and that SVG and MathML follow XML rules
+ */
+
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+
+console.log("Testing FeexVeb renderToString...\n");
+
+// Test 1: Plain elements and escaping
+console.log("✓ Test 1: Plain elements and escaping");
+const plain = FeexVeb.renderToString(h('p', { class: 'note', key: 1 }, 'a < b'));
+console.log("  Output:", plain);
+console.assert(plain === '<p class="note">a &lt; b</p>', "Should render attributes, skip key and escape text");
+
+// Test 2: Nested children and fragments
+console.log("\n✓ Test 2: Nested children and fragments");
+const nested = FeexVeb.renderToString(
+  h('ul', null, [1, 2].map(i => h('li', { key: i }, `Item ${i}`)), h(FeexVeb.Fragment, null, h('li', null, 'Last')))
+);
+console.log("  Output:", nested);
+console.assert(nested === '<ul><li>Item 1</li><li>Item 2</li><li>Last</li></ul>', "Should flatten arrays and fragments");
+
+// Test 3: Function components receive props and children
+console.log("\n✓ Test 3: Function components");
+const Badge = ({ kind, children }) => h('span', { class: `badge-${kind}` }, children);
+const Row = ({ user }) => h('tr', null, h('td', null, user.name), h('td', null, h(Badge, { kind: 'role' }, user.role)));
+const rows = FeexVeb.renderToString(h('tbody', null, h(Row, { key: 1, user: { name: 'Alice', role: 'Admin' } })));
+console.log("  Output:", rows);
+console.assert(
+  rows === '<tbody><tr><td>Alice</td><td><span class="badge-role">Admin</span></td></tr></tbody>',
+  "Should render function components with props and children"
+);
+
+// Test 4: Conditional children
+console.log("\n✓ Test 4: Conditional children");
+const conditional = FeexVeb.renderToString(h('div', null, false, null, 0, 'x'));
+console.log("  Output:", conditional);
+console.assert(conditional === '<div>0x</div>', "Should skip false and null but keep 0");
+
+// Test 5: Class lists and style objects
+console.log("\n✓ Test 5: Class lists and style objects");
+const styled = FeexVeb.renderToString(
+  h('button', { class: ['btn', { active: true, disabled: false }], style: { marginTop: '1rem', '--mono-bg': '#fff' } }, 'Save')
+);
+console.log("  Output:", styled);
+console.assert(
+  styled === '<button class="btn active" style="margin-top: 1rem; --mono-bg: #fff">Save</button>',
+  "Should serialize class arrays/objects and style objects"
+);
+
+// Test 6: Control-flow components
+console.log("\n✓ Test 6: Show, For and Switch");
+const todos = [{ id: 1, text: 'Write' }, { id: 2, text: 'Ship' }];
+const flow = FeexVeb.renderToString(h('div', null,
+  h(FeexVeb.Show, { when: false, fallback: h('p', null, 'Empty') }, 'Hidden'),
+  h('ul', null, h(FeexVeb.For, { each: todos, key: 'id' }, (todo, i) => h('li', null, `${i + 1}. ${todo.text}`))),
+  h(FeexVeb.Switch, { fallback: 'Idle' },
+    h(FeexVeb.Match, { when: false }, 'Loading'),
+    h(FeexVeb.Match, { when: 'Oops' }, (message) => h('em', null, message))
+  )
+));
+console.log("  Output:", flow);
+console.assert(
+  flow === '<div><p>Empty</p><ul><li>1. Write</li><li>2. Ship</li></ul><em>Oops</em></div>',
+  "Should render Show fallbacks, For items and the first matching branch"
+);
+
+// Test 7: Error boundaries
+console.log("\n✓ Test 7: ErrorBoundary");
+const Broken = () => { throw new Error('Profile unavailable'); };
+const caught = [];
+const guarded = FeexVeb.renderToString(h('div', null,
+  h(FeexVeb.ErrorBoundary, { fallback: (error) => h('p', null, error.message), onError: (error) => caught.push(error) },
+    h('section', null, h(Broken))
+  )
+));
+console.log("  Output:", guarded);
+console.assert(guarded === '<div><p>Profile unavailable</p></div>', "Should render the fallback for errors thrown inside the boundary");
+console.assert(caught.length === 1, "Should call onError with the caught error");
+
+// Test 8: Raw HTML and the sanitizer
+console.log("\n✓ Test 8: dangerouslySetInnerHTML and setSanitizer");
+const fragment = { __html: '<b>bold</b><script>alert(1)</script>' };
+const unsanitized = FeexVeb.renderToString(h('div', { dangerouslySetInnerHTML: fragment }, 'ignored'));
+console.log("  Default:", unsanitized);
+console.assert(unsanitized === '<div><b>bold</b><script>alert(1)</script></div>', "Without a sanitizer, raw markup should replace the children unchanged");
+const sanitized = [];
+FeexVeb.setSanitizer((html) => {
+  sanitized.push(html);
+  return html.replace(/<script>.*?<\/script>/g, '');
+});
+const cleaned = FeexVeb.renderToString(h('div', { dangerouslySetInnerHTML: fragment }));
+console.log("  Sanitized:", cleaned);
+console.assert(cleaned === '<div><b>bold</b></div>', "The configured sanitizer should clean raw markup");
+console.assert(sanitized.length === 1 && sanitized[0] === fragment.__html, "The sanitizer should receive the raw markup once");
+FeexVeb.setSanitizer(null);
+console.assert(FeexVeb.renderToString(h('div', { dangerouslySetInnerHTML: fragment })) === unsanitized, "setSanitizer(null) should restore unchanged markup");
+
+// Test 9: SVG and MathML
+console.log("\n✓ Test 9: SVG and MathML");
+const icon = FeexVeb.renderToString(h('svg', { viewBox: '0 0 24 24' },
+  h('circle', { cx: 12, cy: 12, r: 5 }),
+  h('use', { 'xlink:href': '#rays' }),
+  h('foreignObject', null, h('div', null, h('span', null), h('br', null)))
+));
+console.log("  SVG:", icon);
+console.assert(icon.startsWith('<svg viewBox="0 0 24 24">'), "SVG attribute names should keep their case");
+console.assert(icon.includes('<circle cx="12" cy="12" r="5" />'), "Empty SVG elements should be self-closing");
+console.assert(icon.includes('<use xlink:href="#rays" />'), "xlink:href should be rendered with its prefix");
+console.assert(icon.includes('<foreignObject><div><span></span><br /></div></foreignObject>'), "foreignObject content should follow HTML rules");
+const formula = FeexVeb.renderToString(h('math', null, h('mi', null, 'x'), h('mspace', { width: '1em' })));
+console.log("  MathML:", formula);
+console.assert(formula === '<math><mi>x</mi><mspace width="1em" /></math>', "Empty MathML elements should be self-closing");
+
+console.log("\n🎉 All renderToString tests passed!");
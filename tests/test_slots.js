@@ -0,0 +1,111 @@
+/**
+ * Test script for slots
+ * Verifies named and default slots in light and shadow mode, fallback content, children
+ * appended later, parent re-renders patching projected children, and ctx.slots tracking
+ */
+
+import "./dom_setup.js";
+import FeexVeb from "../lib/feexveb.js";
+
+const h = FeexVeb.createElement;
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+const withoutStyles = (html) => html.replace(/<style>[\s\S]*?<\/style>/g, '');
+
+console.log("Testing slots...\n");
+
+let lightRenders = 0;
+FeexVeb.component({
+  tag: 'light-card',
+  shadowMode: null,
+  lightSlots: true,
+  render: ({ slots }) => {
+    lightRenders++;
+    return h('article', null,
+      slots.title.length > 0 ? h('header', null, h('slot', { name: 'title' })) : null,
+      h('div', null, h('slot', null, h('em', null, 'Nothing here yet.'))),
+      h('footer', null, `${slots.default.length} items`)
+    );
+  }
+});
+
+// Test 1: Named and default slots with lightSlots
+console.log("✓ Test 1: Light DOM slots");
+const card = document.createElement('light-card');
+card.innerHTML = '<h2 slot="title">Title</h2><p>One</p>';
+document.body.appendChild(card);
+await settle();
+console.log("  Output:", card.innerHTML);
+console.assert(card.innerHTML === '<article><header><slot name="title"><h2 slot="title">Title</h2></slot></header>' +
+  '<div><slot><p>One</p></slot></div><footer>1 items</footer></article>', "Children should be projected into their slots");
+console.assert(lightRenders === 1, "The first connection should render once");
+
+// Test 2: Children appended later are projected and re-render ctx.slots readers
+console.log("\n✓ Test 2: Appended children");
+const second = document.createElement('p');
+second.textContent = 'Two';
+card.appendChild(second);
+await settle();
+console.log("  Output:", card.innerHTML);
+console.assert(second.parentNode.localName === 'slot' && card.textContent.includes('2 items'), "An appended child should be projected and counted");
+
+// Test 3: Fallback content
+console.log("\n✓ Test 3: Fallback content");
+const empty = document.createElement('light-card');
+document.body.appendChild(empty);
+console.log("  Output:", empty.innerHTML);
+console.assert(empty.innerHTML === '<article><div><slot><em>Nothing here yet.</em></slot></div><footer>0 items</footer></article>',
+  "An empty slot should show its fallback and an unused named slot should be left out");
+const late = document.createElement('span');
+empty.appendChild(late);
+await settle();
+console.assert(!empty.innerHTML.includes('Nothing here yet.') && late.parentNode.localName === 'slot', "Assigned children should replace the fallback");
+
+// Test 4: A parent's re-render patches the projected children in place
+console.log("\n✓ Test 4: Parent re-renders");
+FeexVeb.component({
+  tag: 'card-owner',
+  shadowMode: null,
+  state: { count: 0, showInput: true },
+  render: ({ count, showInput }) => h('light-card', null,
+    h('span', { slot: 'title' }, `Count ${count}`),
+    showInput ? h('input', { value: `v${count}` }) : null,
+    h('i', null, 'tail')
+  )
+});
+const owner = document.createElement('card-owner');
+document.body.appendChild(owner);
+const input = owner.querySelector('input');
+owner._ctx.states.count.set(1);
+FeexVeb.flushSync();
+console.log("  Output:", owner.innerHTML);
+console.assert(owner.querySelector('header').textContent === 'Count 1', "Projected children should follow the parent's state");
+console.assert(owner.querySelector('input') === input && input.value === 'v1', "Projected children should be patched in place");
+owner._ctx.states.showInput.set(false);
+FeexVeb.flushSync();
+console.assert(!owner.querySelector('input') && owner.textContent.includes('1 items'), "Children the parent stops rendering should be removed");
+
+// Test 5: Shadow DOM slots
+console.log("\n✓ Test 5: Shadow DOM slots");
+FeexVeb.component({
+  tag: 'shadow-card',
+  useMonospaceStyles: false,
+  render: ({ slots }) => h('div', null,
+    slots.title.length > 0 ? h('h1', null, h('slot', { name: 'title' })) : null,
+    h('slot', null),
+    `${slots.default.length} items`
+  )
+});
+const shadowCard = document.createElement('shadow-card');
+shadowCard.innerHTML = '<b>x</b>';
+document.body.appendChild(shadowCard);
+console.log("  Output:", withoutStyles(shadowCard.shadowRoot.innerHTML));
+console.assert(withoutStyles(shadowCard.shadowRoot.innerHTML) === '<div><slot></slot>1 items</div>', "The default slot should be counted");
+const heading = document.createElement('span');
+heading.slot = 'title';
+shadowCard.appendChild(heading);
+await settle();
+console.log("  After adding a title:", withoutStyles(shadowCard.shadowRoot.innerHTML));
+console.assert(withoutStyles(shadowCard.shadowRoot.innerHTML) === '<div><h1><slot name="title"></slot></h1><slot></slot>1 items</div>',
+  "Adding a child for a slot that is not rendered should re-render the component");
+
+console.log("\n🎉 All slot tests passed!");
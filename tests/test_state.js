@@ -0,0 +1,197 @@
+/**
+ * Test script for FeexVeb state management
+ * Verifies state updates, subscriptions, batching, scheduled updates, resources, stores, custom equality, persistence and effects
+ */
+
+import FeexVeb from "../lib/feexveb.js";
+import { scheduleUpdate } from "../lib/src/state.js";
+import { createOwner, runWithOwner, mountOwner, disposeOwner } from "../lib/src/lifecycle.js";
+
+console.log("Testing FeexVeb state management...\n");
+
+// Test 1: Basic get/set and functional updates
+console.log("✓ Test 1: Basic get/set");
+const count = FeexVeb.useState(0);
+count.set(5);
+count.set(prev => prev + 1);
+console.log("  count:", count.get());
+console.assert(count.get() === 6, "State should hold the latest value");
+
+// Test 2: Subscribers are notified synchronously outside a batch
+console.log("\n✓ Test 2: Subscriptions");
+const seen = [];
+const unsubscribe = count.subscribe(value => seen.push(value));
+count.set(7);
+unsubscribe();
+count.set(8);
+console.log("  Seen values:", seen);
+console.assert(seen.join(',') === '6,7', "Subscriber should see the initial and updated value, and nothing after unsubscribing");
+
+// Test 3: batch notifies subscribers once
+console.log("\n✓ Test 3: batch");
+const first = FeexVeb.useState('John');
+const last = FeexVeb.useState('Doe');
+const fullName = FeexVeb.useComputed(() => `${first.get()} ${last.get()}`);
+const names = [];
+const stop = fullName.subscribe(value => names.push(value));
+FeexVeb.batch(() => {
+  first.set('Jane');
+  last.set('Smith');
+  console.log("  Computed inside batch:", fullName.get());
+  console.assert(fullName.get() === 'Jane Smith', "Computed values should be up to date inside a batch");
+});
+stop();
+console.log("  Notified values:", names);
+console.assert(names.join('|') === 'John Doe|Jane Smith', "Subscriber should be notified once for the whole batch");
+
+// Test 4: scheduled jobs are coalesced and flushSync runs them immediately
+console.log("\n✓ Test 4: scheduleUpdate and flushSync");
+let runs = 0;
+const job = () => runs++;
+scheduleUpdate(job);
+scheduleUpdate(job);
+scheduleUpdate(job);
+console.assert(runs === 0, "Scheduled jobs should not run synchronously");
+FeexVeb.flushSync();
+console.log("  Runs after flushSync:", runs);
+console.assert(runs === 1, "A job scheduled several times should run once");
+await Promise.resolve();
+console.assert(runs === 1, "A flushed job should not run again in the microtask");
+
+// A job that throws is reported and the rest of the batch still runs
+const reported = [];
+FeexVeb.onError = (error, info) => reported.push(`${info.phase}: ${error.message}`);
+scheduleUpdate(() => { throw new Error('broken job'); });
+scheduleUpdate(job);
+FeexVeb.flushSync();
+FeexVeb.onError = null;
+console.log("  Reported:", reported, "runs:", runs);
+console.assert(runs === 2, "Jobs after a throwing job should still run");
+console.assert(reported.join() === 'update: broken job', "A throwing job should be reported");
+
+// Test 5: useResource follows its source and cancels stale requests
+console.log("\n✓ Test 5: useResource");
+const userId = FeexVeb.useState(1);
+const aborted = [];
+const user = FeexVeb.useResource(async (id, { signal }) => {
+  signal.addEventListener('abort', () => aborted.push(id));
+  await new Promise(resolve => setTimeout(resolve, 10));
+  return { id, name: `User ${id}` };
+}, userId);
+console.assert(user.loading.get() === true, "Resource should be loading right away");
+userId.set(2);
+await new Promise(resolve => setTimeout(resolve, 30));
+console.log("  Data:", user.get(), "Aborted:", aborted);
+console.assert(user.get().id === 2 && user.loading.get() === false, "Resource should hold the data for the latest source value");
+console.assert(aborted.join(',') === '1', "Changing the source should abort the request in flight");
+user.mutate(previous => ({ ...previous, name: 'Renamed' }));
+console.assert(user.get().name === 'Renamed', "mutate should replace the data");
+
+// Test 6: Stores notify only the readers of the changed path
+console.log("\n✓ Test 6: createStore");
+const store = FeexVeb.createStore({ todos: [{ text: 'Write', done: false }], filter: 'all' });
+const doneFlags = FeexVeb.useComputed(() => store.state.todos.map(todo => todo.done).join(','));
+const filterReads = [];
+const stopFilter = FeexVeb.useEffect(() => { filterReads.push(store.state.filter); });
+store.set('todos', 0, 'done', true);
+store.set('todos', FeexVeb.produce(todos => { todos.push({ text: 'Ship', done: false }); }));
+console.log("  Done flags:", doneFlags.get(), "Filter reads:", filterReads);
+console.assert(doneFlags.get() === 'true,false', "Path updates and produce should update readers of the todos");
+console.assert(filterReads.length === 1, "Readers of other paths should not be notified");
+store.set({ filter: 'active' });
+stopFilter();
+console.assert(filterReads.join(',') === 'all,active', "Merging into the root should notify readers of the merged keys");
+
+// Test 7: Custom equality
+console.log("\n✓ Test 7: equals option");
+const filters = FeexVeb.useState({ role: 'all' }, { equals: FeexVeb.shallowEqual });
+const filterChanges = [];
+const stopFilters = filters.subscribe(value => filterChanges.push(value.role));
+filters.set({ role: 'all' });
+filters.set({ role: 'admin' });
+stopFilters();
+const numbers = FeexVeb.useState([1, 2, 3]);
+const evens = FeexVeb.useComputed(() => numbers.get().filter(n => n % 2 === 0), { equals: FeexVeb.shallowEqual });
+const evenChanges = [];
+const stopEvens = evens.subscribe(value => evenChanges.push(value.join('+')));
+numbers.set([1, 2, 3, 5]);
+numbers.set([2, 4]);
+stopEvens();
+console.log("  Filter changes:", filterChanges, "Even changes:", evenChanges);
+console.assert(filterChanges.join(',') === 'all,admin', "Shallowly equal values should not notify subscribers");
+console.assert(evenChanges.join(',') === '2,2+4', "Computed values should only propagate when their contents change");
+
+// Test 8: Persistent state restores, migrates and writes back
+console.log("\n✓ Test 8: usePersistentState");
+const memory = new Map([['todos', JSON.stringify({ version: 1, value: ['Write tests'] })]]);
+const memoryStorage = {
+  getItem: (key) => (memory.has(key) ? memory.get(key) : null),
+  setItem: (key, value) => { memory.set(key, value); },
+  removeItem: (key) => { memory.delete(key); }
+};
+const savedTodos = FeexVeb.usePersistentState('todos', [], {
+  storage: memoryStorage,
+  version: 2,
+  migrate: (value) => value.map(text => ({ text, done: false }))
+});
+console.assert(savedTodos.get()[0].text === 'Write tests', "Stored values should be restored and migrated");
+savedTodos.set(todos => [...todos, { text: 'Ship', done: false }]);
+savedTodos.flush();
+console.log("  Stored:", memory.get('todos'));
+console.assert(JSON.parse(memory.get('todos')).version === 2, "Values should be written back with the current version");
+console.assert(JSON.parse(memory.get('todos')).value.length === 2, "Changes should be written back");
+savedTodos.clear();
+savedTodos.dispose();
+console.assert(savedTodos.get().length === 0 && !memory.has('todos'), "clear should reset the state and remove the stored value");
+
+// Test 9: Effect dependencies, and effects bound to a component owner
+console.log("\n✓ Test 9: useEffect dependencies and lifecycle");
+const watched = FeexVeb.useState(0);
+const unwatched = FeexVeb.useState(0);
+const effectRuns = [];
+const stopWatching = FeexVeb.useEffect(() => { effectRuns.push(`${watched.get()}/${unwatched.get()}`); }, [watched]);
+unwatched.set(1);
+watched.set(1);
+stopWatching();
+watched.set(2);
+console.log("  Runs:", effectRuns);
+console.assert(effectRuns.join(',') === '0/0,1/1', "Only the listed dependencies should re-run the effect");
+
+const owner = createOwner();
+const lifecycle = [];
+runWithOwner(owner, () => {
+  FeexVeb.useEffect(() => {
+    lifecycle.push(`effect ${watched.get()}`);
+    return () => lifecycle.push('effect cleanup');
+  }, [watched]);
+  FeexVeb.onMount(() => lifecycle.push('mount'));
+  FeexVeb.onCleanup(() => lifecycle.push('cleanup'));
+});
+lifecycle.push('setup done');
+mountOwner(owner);
+disposeOwner(owner);
+watched.set(3);
+console.log("  Lifecycle:", lifecycle);
+console.assert(lifecycle.join(',') === 'setup done,effect 2,mount,effect cleanup,cleanup', "Component effects should start on mount and stop on dispose");
+
+// A component connected again restarts its effects and mount callbacks; setup does not run again
+lifecycle.length = 0;
+mountOwner(owner);
+watched.set(4);
+disposeOwner(owner);
+console.log("  After reconnecting:", lifecycle);
+console.assert(lifecycle.join(',') === 'effect 3,mount,effect cleanup,effect 4,effect cleanup,cleanup', "Effects and mount callbacks should restart on every mount");
+
+// Store subscriptions made during setup are active only while the component is mounted
+const settings = FeexVeb.createStore({ n: 0 });
+const storeOwner = createOwner();
+const storeValues = [];
+runWithOwner(storeOwner, () => settings.subscribe(value => storeValues.push(value.n)));
+mountOwner(storeOwner);
+settings.set('n', 1);
+disposeOwner(storeOwner);
+settings.set('n', 2);
+console.log("  Store notifications:", storeValues);
+console.assert(storeValues.join(',') === '0,1', "Store subscriptions should stop when the component is disposed");
+
+console.log("\n🎉 All state tests passed!");